@@ -1,171 +1,111 @@
 #!/usr/bin/env node
 
-// Optional .env loader — safe no-op if env is already set (e.g. via dotenvx) or dotenv isn't installed.
-try { require("dotenv").config(); } catch (e) { /* dotenv not installed; env vars assumed pre-set */ }
-
 const path = require("path");
 const fs = require("fs");
+const crypto = require("crypto");
 const https = require("https");
 const http = require("http");
+const tls = require("tls");
+const zlib = require("zlib");
 const { URL } = require("url");
+const readline = require("readline");
+const { EventEmitter } = require("events");
 
 // ============================================
-// DYNAMIC CONFIGURATION
+// ERROR CLASSIFICATION
 // ============================================
-const config = {
-  baseUrl: process.env.BASE_URL,
-  outputDir: process.env.OUTPUT_DIR,
-  cookie: process.env.COOKIE, // REQUIRED - Add your cookie here
-
-  // Advanced settings
-  downloadMetadata: true,
-  downloadRenditions: false, // Set to true if needed
-  maxDepth: 50, // Very deep to ensure we get everything
-  maxConcurrent: 3,
-  sleepTime: 200,
-  retryAttempts: 3,
-  retryDelay: 1000,
-  requestTimeout: 30000,
-  testMode: false, // Will be set by command line
-  testLimit: 10, // Number of assets to download in test mode
-  queryMode: false, // Query mode for specific assets
-  queryFile: null, // Path to JSON file with asset paths
-  findMode: false, // Find mode for searching assets
-  findPattern: null, // Pattern to search for
-  findDownloadMode: false, // Find and download mode
-  findMultipleMode: false, // Find multiple patterns mode
-  findPatterns: [], // Multiple patterns to search for
-  findStringMode: false, // Find from single string mode
-
-  // File filtering
-  fileTypes: [], // Empty = all types, or ['jpg', 'png', 'pdf']
-  minFileSize: 0,
-  maxFileSize: 5000000000, // 5GB
-  skipPatterns: ['.tmp', '.temp', 'thumb_', '.cache', 'cq5dam.thumbnail'],
-
-  // Smart discovery settings
-  smartDepthDetection: true,
-  maxJsonDepth: 5, // Try up to .5.json
-  adaptiveDelay: true, // Automatically adjust delay based on server response
-
-  // Don't change these
-  processedPaths: new Set(),
-  discoveredAssets: new Map(),
-  folderQueue: [],
-  stats: {
-    startTime: Date.now(),
-    foldersScanned: 0,
-    totalAssets: 0,
-    downloadedAssets: 0,
-    skippedAssets: 0,
-    failedAssets: 0,
-    totalSize: 0,
-    errors: []
-  }
-};
 
-// ============================================
-// HTTP CLIENT WITH SMART RETRY
-// ============================================
+const ERROR_TYPES = {
+  NOT_FOUND: 'not_found',
+  UNAUTHORIZED: 'unauthorized',
+  FORBIDDEN: 'forbidden',
+  THROTTLED: 'throttled',
+  TIMEOUT: 'timeout',
+  NETWORK: 'network',
+  TLS: 'tls', // Certificate not trusted, client certificate missing or rejected
+  SERVER: 'server_error',
+  INVALID_CONTENT: 'invalid_content', // HTML instead of JSON/binary, bad checksum, unexpected range
+  CLIENT: 'client_error', // Any other 4xx
+  PLUGIN: 'plugin', // A plugin hook threw
+  OTHER: 'other' // Not a request failure (disk full, bad input, ...)
+};
 
-function makeRequest(url, options = {}) {
-  return new Promise((resolve, reject) => {
-    const urlObj = new URL(url);
-    const isHttps = urlObj.protocol === 'https:';
-    const client = isHttps ? https : http;
-
-    const requestOptions = {
-      hostname: urlObj.hostname,
-      port: urlObj.port || (isHttps ? 443 : 80),
-      path: urlObj.pathname + urlObj.search,
-      method: options.method || 'GET',
-      headers: {
-        'Accept': 'application/json,*/*',
-        'Accept-Language': 'en-GB,en-US;q=0.9,en;q=0.8',
-        'Cache-Control': 'no-cache',
-        'Cookie': config.cookie,
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-        'Referer': config.baseUrl,
-        ...options.headers
-      },
-      timeout: config.requestTimeout
-    };
+// Transient failures: repeating the same request may succeed
+const RETRYABLE_ERRORS = [ERROR_TYPES.THROTTLED, ERROR_TYPES.TIMEOUT, ERROR_TYPES.NETWORK, ERROR_TYPES.SERVER];
 
-    const req = client.request(requestOptions, (res) => {
-      if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
-        return makeRequest(res.headers.location, options).then(resolve).catch(reject);
-      }
+// Failures that every download URL pattern would hit too, so falling back only adds requests
+const ASSET_WIDE_ERRORS = [ERROR_TYPES.UNAUTHORIZED, ERROR_TYPES.THROTTLED, ERROR_TYPES.TIMEOUT, ERROR_TYPES.NETWORK, ERROR_TYPES.TLS];
 
-      if (res.statusCode >= 400) {
-        return reject(new Error(`HTTP ${res.statusCode}`));
-      }
+const NETWORK_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ENOTFOUND', 'EAI_AGAIN',
+  'EPIPE', 'EHOSTUNREACH', 'ENETUNREACH', 'ETIMEDOUT'];
 
-      if (options.responseType === 'stream') {
-        resolve(res);
-        return;
-      }
+// Certificate and handshake failures; retrying cannot fix them
+const isTlsError = (error) => /^ERR_(SSL|TLS)_|CERT|SIGNATURE|ISSUER/.test(error.code || '') || error.library === 'SSL routines';
 
-      let data = '';
-      res.on('data', chunk => data += chunk);
-      res.on('end', () => {
-        try {
-          if (options.json === false) {
-            resolve(data);
-          } else {
-            const result = JSON.parse(data);
-            resolve(result);
-          }
-        } catch (e) {
-          const trimmed = (data || '').trimStart();
-          if (trimmed.startsWith('<')) {
-            return reject(new Error('HTML response (likely expired/invalid cookie or wrong URL)'));
-          }
-          resolve(data);
-        }
-      });
-    });
+class RequestError extends Error {
+  constructor(type, message, details = {}) {
+    super(message);
+    this.name = 'RequestError';
+    this.type = type;
+    Object.assign(this, details);
+  }
+}
 
-    req.on('error', reject);
-    req.on('timeout', () => {
-      req.destroy();
-      reject(new Error('Request timeout'));
-    });
+const THROTTLE_STATUSES = [429, 503];
 
-    req.end();
-  });
+function classifyStatus(status) {
+  if (status === 404 || status === 410) return ERROR_TYPES.NOT_FOUND;
+  if (status === 401) return ERROR_TYPES.UNAUTHORIZED;
+  if (status === 403) return ERROR_TYPES.FORBIDDEN;
+  if (THROTTLE_STATUSES.includes(status)) return ERROR_TYPES.THROTTLED;
+  if (status >= 500) return ERROR_TYPES.SERVER;
+  return ERROR_TYPES.CLIENT;
 }
 
-async function makeRequestWithRetry(url, options = {}, attempt = 1) {
-  try {
-    return await makeRequest(url, options);
-  } catch (error) {
-    if (attempt < config.retryAttempts) {
-      const delay = config.retryDelay * attempt;
-      await sleep(delay);
-      return makeRequestWithRetry(url, options, attempt + 1);
-    }
-    throw error;
-  }
+/**
+ * Error type for any thrown error: RequestErrors carry theirs, socket errors
+ * are network failures, anything else is not a request problem.
+ */
+function classifyError(error) {
+  if (!error) return ERROR_TYPES.OTHER;
+  if (error.type && Object.values(ERROR_TYPES).includes(error.type)) return error.type;
+  if (NETWORK_ERROR_CODES.includes(error.code)) return ERROR_TYPES.NETWORK;
+  return ERROR_TYPES.OTHER;
 }
 
+const isRetryable = (error) => RETRYABLE_ERRORS.includes(classifyError(error));
+
 // ============================================
-// UTILITY FUNCTIONS
+// SHARED HELPERS
 // ============================================
+// Free of downloader state, so the command line can use them before it creates a downloader
+
+// Looked for in the working directory when neither --config nor AEM_CONFIG names a file
+const DEFAULT_CONFIG_FILE = 'aem.config.json';
 
-const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+// Settings from a .env file, without loading them into process.env
+function readEnvFile(envPath) {
+  const content = fs.readFileSync(envPath, 'utf-8');
+  try {
+    return require("dotenv").parse(content);
+  } catch (e) {
+    const values = {};
+    content.split(/\r?\n/).forEach(line => {
+      const match = line.match(/^\s*(?:export\s+)?([\w.-]+)\s*=\s*(.*)$/);
+      if (match) values[match[1]] = match[2].trim().replace(/^(['"])(.*)\1$/, '$2');
+    });
+    return values;
+  }
+}
 
 const formatBytes = (bytes) => {
   if (!bytes) return '0 B';
   const k = 1024;
-  const sizes = ['B', 'KB', 'MB', 'GB'];
+  const sizes = ['B', 'KB', 'MB', 'GB', 'TB'];
   const i = Math.floor(Math.log(bytes) / Math.log(k));
   return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
 };
 
-const ensureDirectory = (dirPath) => {
-  fs.mkdirSync(dirPath, { recursive: true });
-};
-
 // Normalize a JCR/DAM folder path: ensure single leading slash, no trailing slash,
 // and collapse any internal `//`. Returns '/' for empty input.
 const normalizeFolderPath = (p) => {
@@ -176,1778 +116,6615 @@ const normalizeFolderPath = (p) => {
   return out;
 };
 
-// Decode the AEM login-token JWT from the cookie string and report its expiry.
-// Returns { ok, expDate, remainingSec, reason } or { ok: null, reason } if it
-// couldn't decode. Pure: no side effects, caller decides what to log/exit.
-function inspectCookieExpiry(cookieStr) {
-  if (!cookieStr) return { ok: null, reason: 'no cookie set' };
-
-  const match = cookieStr.match(/login-token=([^;]+)/);
-  if (!match) return { ok: null, reason: 'login-token not found in COOKIE' };
-
-  let tokenValue;
-  try { tokenValue = decodeURIComponent(match[1]); }
-  catch (e) { return { ok: null, reason: 'login-token URL-decoding failed' }; }
-
-  // Token format: "login:<jwt>:crx.default"
-  const jwtMatch = tokenValue.match(/^login:([^:]+)/);
-  const jwt = jwtMatch ? jwtMatch[1] : tokenValue;
-  const parts = jwt.split('.');
-  if (parts.length !== 3) return { ok: null, reason: 'login-token is not a JWT' };
-
-  let payload;
-  try {
-    const b64 = parts[1].replace(/-/g, '+').replace(/_/g, '/');
-    const padded = b64 + '='.repeat((4 - b64.length % 4) % 4);
-    payload = JSON.parse(Buffer.from(padded, 'base64').toString('utf-8'));
-  } catch (e) {
-    return { ok: null, reason: 'JWT payload could not be decoded' };
-  }
-
-  if (!payload.exp) return { ok: null, reason: 'JWT has no exp claim' };
-
-  const nowSec = Math.floor(Date.now() / 1000);
-  const remainingSec = payload.exp - nowSec;
-  return {
-    ok: remainingSec > 0,
-    expDate: new Date(payload.exp * 1000),
-    remainingSec,
-    subject: payload.sub || null
-  };
-}
+// --modified-since / --created-before etc.: "since" bounds are inclusive, "before" bounds exclusive
+const DATE_FILTERS = [
+  { key: 'modifiedSince', field: 'modified', op: '>=', flag: '--modified-since' },
+  { key: 'modifiedBefore', field: 'modified', op: '<', flag: '--modified-before' },
+  { key: 'createdSince', field: 'created', op: '>=', flag: '--created-since' },
+  { key: 'createdBefore', field: 'created', op: '<', flag: '--created-before' }
+];
 
-// Run at startup. Exits the process if the cookie is already expired.
-function checkCookieExpiry() {
-  const info = inspectCookieExpiry(config.cookie);
+const RELATIVE_DATE_UNITS = { h: 3600000, d: 86400000, w: 7 * 86400000 };
 
-  if (info.ok === null) {
-    console.log(`Cookie expiry check skipped: ${info.reason}`);
-    return;
+/**
+ * Accepts anything Date.parse understands (2024-01-31, 2024-01-31T12:00:00Z, ...),
+ * "today" / "yesterday" (local midnight), and ages relative to now:
+ * 12h, 30d, 2w, 6m (calendar months), 1y.
+ */
+function parseDateValue(value) {
+  const text = String(value).trim().toLowerCase();
+
+  if (text === 'today' || text === 'yesterday') {
+    const date = new Date();
+    date.setHours(0, 0, 0, 0);
+    if (text === 'yesterday') date.setDate(date.getDate() - 1);
+    return date.toISOString();
   }
 
-  const mins = Math.floor(Math.abs(info.remainingSec) / 60);
-  const hrs = Math.floor(mins / 60);
-  const remainingStr = `${hrs}h ${mins % 60}m`;
-
-  if (!info.ok) {
-    console.error('\nERROR: login-token cookie has expired.');
-    console.error(`   Expired at: ${info.expDate.toString()}`);
-    console.error(`   Expired ${remainingStr} ago.`);
-    console.error('   Refresh your cookie from the browser and update .env, then re-run.');
-    process.exit(1);
+  const relative = text.match(/^(\d+)\s*([hdwmy])$/);
+  if (relative) {
+    const amount = parseInt(relative[1], 10);
+    const unit = relative[2];
+    const date = new Date();
+    if (unit === 'm') date.setMonth(date.getMonth() - amount);
+    else if (unit === 'y') date.setFullYear(date.getFullYear() - amount);
+    else date.setTime(date.getTime() - amount * RELATIVE_DATE_UNITS[unit]);
+    return date.toISOString();
   }
 
-  if (info.remainingSec < 30 * 60) {
-    console.log(`Warning: cookie expires in ${remainingStr} (at ${info.expDate.toLocaleTimeString()}). Refresh soon.`);
-  } else {
-    console.log(`Cookie valid for ${remainingStr} (until ${info.expDate.toLocaleString()})`);
+  const time = Date.parse(value);
+  if (isNaN(time)) {
+    throw new Error(`"${value}" is not a date (expected e.g. 2024-01-31, 30d or yesterday)`);
   }
+  return new Date(time).toISOString();
 }
 
 // ============================================
-// QUERY-BASED ASSET FUNCTIONS
+// INSTANCE STATE
 // ============================================
+// Every AemDownloader has its own runtime: the settings, run bookkeeping, rate limiter,
+// connection pool, tokens, logger and plugins below, and the functions that work on
+// them through this closure. Two downloaders talking to different AEM servers can
+// therefore run side by side in one process.
+const SILENT_LOGGER = { log() {}, warn() {}, error() {} };
 
 /**
- * Load asset paths from JSON file
+ * Create the runtime of `downloader`, which receives its events. Options:
+ *   logger       { log, warn, error } for progress output (default: silent)
+ *   envFile      .env file to read settings from (below the profile), and to re-read
+ *                for fresh credentials when the session expires
+ *   interactive  Ask for fresh credentials on the terminal
+ * Returns the settings and functions AemDownloader and the command line use.
  */
-function loadQueryFile(filePath) {
-  try {
-    if (!fs.existsSync(filePath)) {
-      throw new Error(`Query file not found: ${filePath}`);
-    }
+function createRuntime(downloader, { logger = SILENT_LOGGER, envFile = null, interactive = false } = {}) {
+  let suppliedCredential = null; // Handed over by setCredentials() while a renewal waits
+  let plugins = []; // { name, plugin } loaded from config.plugins when the downloader first connects
 
-    const content = fs.readFileSync(filePath, 'utf8');
-    let assetPaths = [];
-    let baseDAMPath = '/content/dam'; // Default base path
-
-    // Try to parse as JSON
-    try {
-      const parsed = JSON.parse(content);
-
-      // Check for custom base path in the JSON
-      if (parsed.basePath && typeof parsed.basePath === 'string') {
-        baseDAMPath = parsed.basePath;
-        console.log(`Using custom base path: ${baseDAMPath}`);
-      }
+  // Calls run one at a time (see runCall). stop() aborts the running call: its requests
+  // and pauses reject with the stop error, and the next call starts once that work has unwound.
+  let currentCall = null; // { controller, signal, stopped, reject } until the call ends or is stopped
+  let activeCall = null; // The call whose work is running (or, once stopped, unwinding)
+  let unwinding = Promise.resolve();
 
-      // Handle different JSON structures
-      if (Array.isArray(parsed)) {
-        assetPaths = parsed;
-      } else if (parsed.assets && Array.isArray(parsed.assets)) {
-        assetPaths = parsed.assets;
-      } else if (parsed.paths && Array.isArray(parsed.paths)) {
-        assetPaths = parsed.paths;
-      } else {
-        // Try to extract array values from object
-        assetPaths = Object.values(parsed).flat().filter(item =>
-          typeof item === 'string' && (item.startsWith('/content/') || item.startsWith('/'))
-        );
-      }
-    } catch (e) {
-      // If not JSON, treat each line as a path
-      assetPaths = content.split('\n')
-        .map(line => line.trim())
-        .filter(line => line && !line.startsWith('#') && (line.startsWith('/content/') || line.startsWith('/')));
-    }
+  // The error the running call was stopped with, or null
+  const getStopError = () => (activeCall && activeCall.stopped) || null;
 
-    // Clean and validate paths
-    assetPaths = assetPaths
-      .map(path => {
-        // Clean up the path
-        let cleanPath = path.trim();
+  const getCallSignal = () => (activeCall ? activeCall.signal : undefined);
 
-        // Remove query parameters and fragments
-        cleanPath = cleanPath.split('?')[0].split('#')[0];
+  // Work of a stopped call ends at its next request, pause or caught failure
+  function throwIfStopped() {
+    const error = getStopError();
+    if (error) throw error;
+  }
 
-        // Handle relative paths (don't start with /content/)
-        if (!cleanPath.startsWith('/content/')) {
-          if (cleanPath.startsWith('/')) {
-            // Relative path starting with / - append to base DAM path
-            cleanPath = `${baseDAMPath}${cleanPath}`;
-          } else {
-            // Relative path without leading / - append to base DAM path with /
-            cleanPath = `${baseDAMPath}/${cleanPath}`;
-          }
-        }
+  // A stopped call has reported how it ended; the work still unwinding stays quiet
+  function emitEvent(event, ...args) {
+    if (!getStopError()) downloader.emit(event, ...args);
+  }
 
-        // Handle coreimg paths - extract the actual asset path
-        if (cleanPath.includes('.coreimg.')) {
-          const parts = cleanPath.split('.coreimg.');
-          if (parts.length > 1) {
-            // Try to extract the original asset path from the coreimg URL
-            const corePart = parts[1];
-            if (corePart.includes('/')) {
-              const pathParts = corePart.split('/');
-              if (pathParts.length > 1) {
-                // Reconstruct the asset path
-                cleanPath = parts[0]; // Base path
-                // Look for timestamp and filename
-                const filename = pathParts[pathParts.length - 1];
-                if (filename && filename.includes('.')) {
-                  cleanPath = `${parts[0]}/${filename}`;
-                }
-              }
-            }
-          }
-        }
+  // ============================================
+  // DYNAMIC CONFIGURATION
+  // ============================================
+  // Defaults only. The config file, profile, environment and command line (or the
+  // AemDownloader options) are layered on top by applyConfigLayers() (see CONFIG_SETTINGS
+  // for the env names).
+  const config = createDefaultConfig();
+
+  function createDefaultConfig() {
+    return {
+      configFile: null, // aem.config.json, --config or AEM_CONFIG, once loaded
+      profile: null, // --profile / AEM_PROFILE: named section of the config file
+      baseUrl: null, // REQUIRED
+      outputDir: './dam-downloads',
+      cookie: null, // AEM session cookie (or use one of the methods below)
+
+      // Authentication: 'cookie', 'basic', 'bearer' or 'service'; null = pick from whichever is set
+      authMethod: null,
+      username: null, // Basic auth (local SDK / author instances)
+      password: null,
+      bearerToken: null, // Static bearer token (e.g. a developer console token)
+      serviceCredentials: null, // Path to a service credential JSON file
+      tokenEndpoint: null, // Overrides the IMS endpoint the credentials point at
+      cookieFile: null, // File holding the cookie; re-read when the session expires mid-run
+      credentialTimeout: 600, // Seconds to wait for fresh credentials after a mid-run 401 before checkpointing and exiting
+
+      // Advanced settings
+      downloadMetadata: true,
+      downloadRenditions: false, // Set to true if needed
+      maxDepth: 50, // Very deep to ensure we get everything
+      maxConcurrent: 3,
+      sleepTime: 200,
+      retryAttempts: 3,
+      retryDelay: 1000, // First retry delay; doubles per attempt, with jitter
+      maxRetryDelay: 60000, // Cap for the exponential backoff (Retry-After may ask for longer)
+      requestsPerSecond: 10, // Shared token bucket for every request; halved on 429/503, then recovers
+      requestBurst: 10, // Requests that may start back to back before the rate applies
+      requestTimeout: 30000,
+      maxSockets: 10, // Pooled keep-alive connections per host
+      maxRedirects: 5,
+      httpsProxy: null,
+      httpProxy: null,
+      noProxy: null, // Comma-separated hosts that bypass the proxy
+      caFile: null, // PEM bundle trusted in addition to the built-in CAs
+      clientCert: null, // PEM client certificate for mutual TLS
+      clientKey: null,
+      clientKeyPassphrase: null,
+      testMode: false, // Will be set by command line
+      testLimit: 10, // Number of assets to download in test mode
+      queryMode: false, // Query mode for specific assets
+      queryFile: null, // Path to JSON file with asset paths
+      queryAssets: null, // Asset paths or asset objects handed to download() instead of a file
+      queryPlan: false, // The query file is a plan: its paths are the exact download list
+      findMode: false, // Find mode for searching assets
+      findPattern: null, // Pattern to search for
+      findDownloadMode: false, // Find and download mode
+      findMultipleMode: false, // Find multiple patterns mode
+      findPatterns: [], // Multiple patterns to search for
+      findStringMode: false, // Find from single string mode
+      maxResults: 0, // Cap on find results (0 = all hits, paged through QueryBuilder)
+      whereConditions: [], // --where expressions, ANDed together
+      whereFile: null, // JSON predicate tree from --where-file
+      wherePredicate: null, // Parsed { or, children } / { field, op, value } tree built from the two above
+      fulltextQuery: null, // --fulltext search terms (QueryBuilder fulltext predicate, ranked by relevance)
+      tagIds: [], // --tag IDs (namespace:path) to download
+      includeChildTags: false, // Also select every descendant of the --tag IDs
+      tagSelection: null, // Resolved [{ id, title, requested }] once the tags have been looked up
+
+      // Output layout
+      outputLayout: 'flat', // 'flat' = every asset by filename, 'tree' = mirror the DAM folder hierarchy
+      stripPrefix: '/content/dam', // Leading DAM path removed before mirroring in 'tree' layout
+      stripFolderPrefix: false, // Use the --folder path as stripPrefix
+      collisionPolicy: 'counter', // Two DAM paths, one local file: 'counter', 'hash', 'overwrite' or 'fail'
+
+      // Checkpoint / resume
+      resumeMode: false, // Continue from the checkpoint left by an interrupted run
+      checkpointFile: null, // Defaults to <outputDir>/.aem-checkpoint.jsonl
+      checkpointInterval: 30000, // Milliseconds between checkpoint snapshots
+
+      // Incremental sync
+      syncMode: false, // Only download new or changed assets, tracked in <outputDir>/.sync-manifest.json
+      discoverOnly: false, // discover(): list assets without downloading them
+      planMode: false, // --plan: select assets as the run would, then write a plan file instead of downloading
+      orphanAction: null, // Local assets gone from the DAM: 'list', 'trash' (move to <outputDir>/.trash) or 'delete'
+      startPath: '/content/dam', // Discovery root, set by --folder
+      plugins: [], // Plugin modules (or, from the library, plugin objects) with lifecycle hooks
+
+      // File filtering
+      fileTypes: [], // Empty = all types, or ['jpg', 'png', 'pdf']
+      minFileSize: 0,
+      maxFileSize: 5000000000, // 5GB
+      dateFilters: { modifiedSince: null, modifiedBefore: null, createdSince: null, createdBefore: null }, // ISO bounds
+      missingDates: 'exclude', // Assets without the filtered date when a date filter is set: 'exclude' or 'include'
+      skipPatterns: ['.tmp', '.temp', 'thumb_', '.cache', 'cq5dam.thumbnail'],
+
+      // Smart discovery settings
+      discoveryBackend: 'crawl', // 'crawl' = folder-by-folder .N.json walk, 'query' = paged QueryBuilder listing
+      queryPageSize: 500, // QueryBuilder hits per request (p.limit)
+      discoveryOffset: 0, // QueryBuilder discovery progress, carried over by --resume
+      smartDepthDetection: true,
+      maxJsonDepth: 5, // Try up to .5.json
+      adaptiveDelay: true, // Automatically adjust delay based on server response
+      discoveryConcurrency: 4, // Folders scanned in parallel by the crawl backend
+
+      // Don't change these
+      processedPaths: new Set(),
+      discoveredAssets: new Map(),
+      folderQueue: [],
+      scanningPaths: new Set(), // Folders being scanned right now (taken from the queue, children not queued yet)
+      downloadPipeline: null, // Set while discovery streams new assets straight into the download queue
+      claimedOutputPaths: new Map(), // Local file path -> DAM path that owns it this run
+      completedDownloads: new Set(), // DAM paths downloaded or skipped, carried over by --resume
+      droppedAssets: new Map(), // DAM path -> 'vetoed' or 'failed' by an assetDiscovered hook, carried over by --resume
+      syncManifest: null, // Loaded by --sync: { assets: { [damPath]: { localPath, modified, size, syncedAt } } }
+      checkpoint: {
+        fd: null,
+        phase: null,
+        lastSaved: 0,
+        journaled: new Set(), // Asset paths already written to the checkpoint
+        savedPaths: new Set() // Processed folders already written to the checkpoint
+      },
+      stats: {
+        startTime: Date.now(),
+        foldersScanned: 0,
+        totalAssets: 0,
+        downloadedAssets: 0,
+        skippedAssets: 0,
+        failedAssets: 0,
+        totalSize: 0,
+        failedFolders: 0,
+        queryPages: 0,
+        checksumMismatches: 0,
+        vetoedAssets: 0, // Dropped by a plugin's assetDiscovered hook
+        collisions: [],
+        orphans: [],
+        sync: { added: [], updated: [], unchanged: [] },
+        tags: {}, // Per selected tag: { title, found, downloaded, skipped, failed }
+        throttle: {
+          responses: 0, // 429/503 responses received
+          byStatus: {},
+          retryAfterPauses: 0, // Times a Retry-After header paused all requests
+          pausedMs: 0, // Wall-clock time all requests were held back by Retry-After
+          retries: 0, // Requests retried after any error
+          lowestRate: null // Lowest requests/second the limiter dropped to
+        },
+        errors: []
+      }
+    };
+  }
 
-        return cleanPath;
-      })
-      .filter(path => path && path.startsWith('/content/'))
-      .filter((path, index, array) => array.indexOf(path) === index); // Remove duplicates
+  // Mode flags and bookkeeping that belong to one discover/find/download/sync call;
+  // each call starts them from the defaults. Everything else in config is a setting
+  // and carries over from call to call.
+  const RUN_KEYS = [
+    'testMode', 'testLimit', 'queryMode', 'queryFile', 'queryAssets', 'queryPlan', 'findMode', 'findPattern', 'findDownloadMode',
+    'findMultipleMode', 'findPatterns', 'findStringMode', 'maxResults', 'whereConditions', 'whereFile',
+    'wherePredicate', 'fulltextQuery', 'tagIds', 'includeChildTags', 'tagSelection', 'syncMode', 'discoverOnly',
+    'planMode', 'resumeMode', 'discoveryOffset', 'processedPaths', 'discoveredAssets', 'folderQueue', 'scanningPaths',
+    'downloadPipeline', 'claimedOutputPaths', 'completedDownloads', 'droppedAssets', 'syncManifest', 'checkpoint',
+    'stats'
+  ];
 
-    console.log(`Loaded ${assetPaths.length} asset paths from ${filePath}`);
+  // ============================================
+  // CONFIGURATION LAYERS
+  // ============================================
+
+  // Every setting that can come from the config file, a profile or the environment.
+  // Each layer overrides the one before: defaults, config file, .env, profile, env, command line.
+  // type: string | url | path | damPath | integer | number | boolean | list | enum | plugins
+  // unit: integers that may also be given with a unit suffix (bytes: 500MB, ms or s: 30s, 10m)
+  const CONFIG_SETTINGS = [
+    { key: 'baseUrl', env: 'BASE_URL', type: 'url', required: true },
+    { key: 'outputDir', env: 'OUTPUT_DIR', type: 'path' },
+
+    { key: 'authMethod', env: 'AUTH_METHOD', type: 'enum', values: ['cookie', 'basic', 'bearer', 'service'] },
+    { key: 'cookie', env: 'COOKIE', type: 'string', secret: true },
+    { key: 'cookieFile', env: 'COOKIE_FILE', type: 'path' },
+    { key: 'username', env: 'AEM_USER', type: 'string' },
+    { key: 'password', env: 'AEM_PASSWORD', type: 'string', secret: true },
+    { key: 'bearerToken', env: 'ACCESS_TOKEN', type: 'string', secret: true },
+    { key: 'serviceCredentials', env: 'SERVICE_CREDENTIALS', type: 'path' },
+    { key: 'tokenEndpoint', env: 'TOKEN_ENDPOINT', type: 'url' },
+    { key: 'credentialTimeout', env: 'CREDENTIAL_TIMEOUT', type: 'integer', min: 1, unit: 's' },
+
+    { key: 'httpsProxy', env: ['HTTPS_PROXY', 'https_proxy'], type: 'string' },
+    { key: 'httpProxy', env: ['HTTP_PROXY', 'http_proxy'], type: 'string' },
+    { key: 'noProxy', env: ['NO_PROXY', 'no_proxy'], type: 'string' },
+    { key: 'caFile', env: 'CA_FILE', type: 'path' },
+    { key: 'clientCert', env: 'CLIENT_CERT', type: 'path' },
+    { key: 'clientKey', env: 'CLIENT_KEY', type: 'path' },
+    { key: 'clientKeyPassphrase', env: 'CLIENT_KEY_PASSPHRASE', type: 'string', secret: true },
+    { key: 'maxSockets', env: 'MAX_SOCKETS', type: 'integer', min: 1 },
+    { key: 'maxRedirects', type: 'integer', min: 0 },
+    { key: 'requestTimeout', env: 'REQUEST_TIMEOUT', type: 'integer', min: 1, unit: 'ms' },
+    { key: 'retryAttempts', env: 'RETRY_ATTEMPTS', type: 'integer', min: 1 },
+    { key: 'retryDelay', env: 'RETRY_DELAY', type: 'integer', min: 0, unit: 'ms' },
+    { key: 'maxRetryDelay', type: 'integer', min: 0, unit: 'ms' },
+    { key: 'requestsPerSecond', type: 'number', positive: true },
+    { key: 'requestBurst', type: 'integer', min: 1 },
+    { key: 'sleepTime', env: 'SLEEP_TIME', type: 'integer', min: 0, unit: 'ms' },
+
+    { key: 'maxConcurrent', env: 'MAX_CONCURRENT', type: 'integer', min: 1 },
+    { key: 'discoveryConcurrency', type: 'integer', min: 1 },
+    { key: 'maxDepth', env: 'MAX_DEPTH', type: 'integer', min: 1 },
+    { key: 'discoveryBackend', type: 'enum', values: ['crawl', 'query'] },
+    { key: 'queryPageSize', type: 'integer', min: 1 },
+    { key: 'startPath', type: 'damPath' },
+    { key: 'fileTypes', env: 'FILE_TYPES', type: 'list' },
+    { key: 'minFileSize', env: 'MIN_FILE_SIZE', type: 'integer', min: 0, unit: 'bytes' },
+    { key: 'maxFileSize', env: 'MAX_FILE_SIZE', type: 'integer', min: 0, unit: 'bytes' },
+    { key: 'skipPatterns', type: 'list' },
+    { key: 'missingDates', type: 'enum', values: ['exclude', 'include'] },
+    { key: 'downloadMetadata', env: 'DOWNLOAD_METADATA', type: 'boolean' },
+    { key: 'downloadRenditions', env: 'DOWNLOAD_RENDITIONS', type: 'boolean' },
+
+    { key: 'outputLayout', type: 'enum', values: ['flat', 'tree'] },
+    { key: 'stripPrefix', type: 'damPath' },
+    { key: 'collisionPolicy', type: 'enum', values: ['counter', 'hash', 'overwrite', 'fail'] },
+    { key: 'orphanAction', type: 'enum', values: ['list', 'trash', 'delete'] },
+    { key: 'checkpointInterval', type: 'integer', min: 1000, unit: 'ms' },
+    { key: 'plugins', env: 'AEM_PLUGINS', type: 'plugins' }
+  ];
 
-    if (baseDAMPath !== '/content/dam') {
-      console.log(`Base DAM path: ${baseDAMPath}`);
-    }
+  // Where each setting's value came from: 'default', 'file:<path>', 'env-file:<VAR>' (.env),
+  // 'profile:<name>', 'env:<VAR>', 'options' (AemDownloader), 'cli:<flag>' or 'checkpoint'.
+  // Saved in config.json.
+  const configSources = {};
+  CONFIG_SETTINGS.forEach(setting => { configSources[setting.key] = 'default'; });
+
+  const settingEnvNames = (setting) => [].concat(setting.env || []);
+
+  // Factors to the base unit of each kind; a bare number is in the setting's own unit
+  const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3, tb: 1024 ** 4 };
+  const DURATION_UNITS = { ms: 1, s: 1000, m: 60000, h: 3600000 };
+  const UNIT_NAMES = { bytes: 'bytes', ms: 'milliseconds', s: 'seconds' };
+
+  // "500MB" -> bytes, "30s" -> ms or s, "250" -> 250. NaN when the text is not a number with a known unit.
+  function parseUnitValue(text, unit) {
+    const match = String(text).trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*([a-z]*)$/);
+    if (!match) return NaN;
+    const [, amount, suffix] = match;
+    if (!suffix) return Number(amount);
+
+    const units = unit === 'bytes' ? SIZE_UNITS : DURATION_UNITS;
+    if (!(suffix in units)) return NaN;
+    return Math.round(Number(amount) * units[suffix] / (unit === 'bytes' ? 1 : units[unit]));
+  }
 
-    if (assetPaths.length > 0) {
-      console.log('Sample paths:');
-      assetPaths.slice(0, 3).forEach(path => {
-        console.log(`   - ${path}`);
-      });
-      if (assetPaths.length > 3) {
-        console.log(`   ... and ${assetPaths.length - 3} more`);
+  function describeSettingType(setting) {
+    switch (setting.type) {
+      case 'integer': {
+        if (!setting.unit) return `a whole number >= ${setting.min}`;
+        const suffixes = setting.unit === 'bytes' ? 'B, KB, MB, GB, TB' : 'ms, s, m, h';
+        return `a whole number >= ${setting.min} (${UNIT_NAMES[setting.unit]}, or with a unit: ${suffixes})`;
       }
+      case 'number': return setting.positive ? 'a number > 0' : 'a number';
+      case 'boolean': return 'true or false';
+      case 'enum': return `one of ${setting.values.join(', ')}`;
+      case 'url': return 'an http:// or https:// URL';
+      case 'list': return 'a list (JSON array or comma-separated)';
+      case 'plugins': return 'a list of plugin modules or { module, options } objects';
+      default: return 'text';
     }
-
-    return assetPaths;
-  } catch (error) {
-    console.error(`Error loading query file: ${error.message}`);
-    process.exit(1);
   }
-}
-
-/**
- * Create asset info from path
- */
-function createAssetInfoFromPath(assetPath) {
-  const name = path.basename(assetPath);
-  const extension = path.extname(name).toLowerCase().slice(1) || 'unknown';
-
-  return {
-    path: assetPath,
-    name: name,
-    extension: extension,
-    mimeType: getMimeType(extension),
-    size: 0, // Will be determined during download
-    queryBased: true, // Mark as query-based asset
-    metadata: {},
-    renditions: []
-  };
-}
-
-/**
- * Process query-based assets
- */
-async function processQueryAssets(assetPaths) {
-  console.log('\nPROCESSING QUERY-BASED ASSETS');
-  console.log('='.repeat(60));
-
-  const assets = [];
-
-  for (const assetPath of assetPaths) {
-    try {
-      let assetInfo = null;
-
-      // Check if this looks like a simple filename (no path structure)
-      const isSimpleFilename = !assetPath.includes('/') ||
-        (assetPath.startsWith('/content/dam/') && assetPath.split('/').length <= 4 &&
-          assetPath.includes('.'));
-
-      if (isSimpleFilename) {
-        console.log(`Searching for filename: ${path.basename(assetPath)}`);
-
-        // Search for the asset in the DAM
-        const filename = path.basename(assetPath);
 
-        // Reset search state for this search
-        config.processedPaths.clear();
-        config.folderQueue = [];
-
-        const foundAssets = await findAssets(filename.toLowerCase());
+  // Name of a setting as the user wrote it, for error messages
+  function describeSettingSource(setting) {
+    const source = configSources[setting.key];
+    if (source.startsWith('env:')) return source.slice(4);
+    if (source.startsWith('env-file:')) return `${source.slice(9)} in .env`;
+    if (source.startsWith('cli:')) return source.slice(4);
+    if (source.startsWith('file:')) return `"${setting.key}" in ${source.slice(5)}`;
+    if (source.startsWith('profile:')) return `"${setting.key}" in profile ${source.slice(8)}`;
+    return setting.key;
+  }
 
-        if (foundAssets.length > 0) {
-          console.log(`Found ${foundAssets.length} matches for: ${filename}`);
-          // Use the first match with the actual DAM path
-          assetInfo = foundAssets[0];
-          console.log(`Using asset at: ${assetInfo.path}`);
-        } else {
-          console.log(`No matches found for: ${filename} - trying as direct path`);
-          // Fall back to treating as direct path
-          assetInfo = createAssetInfoFromPath(assetPath);
-        }
-      } else {
-        // Try to get metadata if it's a full path
-        const metadataUrl = `${config.baseUrl}${assetPath}.json`;
-        let assetData = null;
+  /**
+   * Convert a raw value (env string, JSON value or CLI-parsed value) to the setting's type.
+   * null/undefined/'' mean "not set" and come back as null. Throws with the expected type.
+   */
+  function coerceSetting(setting, raw) {
+    if (raw === undefined || raw === null || raw === '') return null;
+    const fail = () => {
+      throw new Error(`${describeSettingSource(setting)} must be ${describeSettingType(setting)} (got ${typeof raw === 'string' ? JSON.stringify(raw) : String(raw)})`);
+    };
 
+    switch (setting.type) {
+      case 'integer': {
+        const value = typeof raw === 'number' ? raw
+          : setting.unit ? parseUnitValue(raw, setting.unit) : Number(String(raw).trim());
+        if (!Number.isInteger(value) || value < setting.min) fail();
+        return value;
+      }
+      case 'number': {
+        const value = typeof raw === 'number' ? raw : Number(String(raw).trim());
+        if (!Number.isFinite(value) || (setting.positive && value <= 0)) fail();
+        return value;
+      }
+      case 'boolean': {
+        if (typeof raw === 'boolean') return raw;
+        const text = String(raw).trim().toLowerCase();
+        if (['true', '1', 'yes', 'on'].includes(text)) return true;
+        if (['false', '0', 'no', 'off'].includes(text)) return false;
+        return fail();
+      }
+      case 'enum': {
+        const value = String(raw).trim().toLowerCase();
+        if (!setting.values.includes(value)) fail();
+        return value;
+      }
+      case 'url': {
+        const value = String(raw).trim().replace(/\/+$/, '');
         try {
-          assetData = await makeRequestWithRetry(metadataUrl);
-          console.log(`Found metadata for: ${path.basename(assetPath)}`);
-        } catch (error) {
-          console.log(`No metadata found for: ${path.basename(assetPath)} - searching DAM`);
-
-          // If direct metadata fetch fails, search for the filename
-          const filename = path.basename(assetPath);
-
-          // Reset search state for this search
-          config.processedPaths.clear();
-          config.folderQueue = [];
-
-          const foundAssets = await findAssets(filename.toLowerCase());
-
-          if (foundAssets.length > 0) {
-            console.log(`Found ${foundAssets.length} matches for: ${filename}`);
-            assetInfo = foundAssets[0];
-            console.log(`Using asset at: ${assetInfo.path}`);
-          }
-        }
-
-        if (!assetInfo) {
-          if (assetData && typeof assetData === 'object') {
-            // Extract info from metadata
-            assetInfo = extractAssetInfo(assetData, assetPath);
-          } else {
-            // Create basic info from path
-            assetInfo = createAssetInfoFromPath(assetPath);
-          }
+          if (!['http:', 'https:'].includes(new URL(value).protocol)) fail();
+        } catch (e) {
+          fail();
         }
+        return value;
       }
-
-      if (assetInfo && isValidAsset(assetInfo)) {
-        assets.push(assetInfo);
-        config.stats.totalAssets++;
-      } else {
-        console.log(`Skipped invalid asset: ${assetPath}`);
-        config.stats.skippedAssets++;
+      case 'list': {
+        const items = Array.isArray(raw) ? raw : String(raw).split(',');
+        return items.map(item => String(item).trim()).filter(Boolean);
       }
-    } catch (error) {
-      console.log(`Error processing ${assetPath}: ${error.message}`);
-      config.stats.errors.push({
-        asset: assetPath,
-        error: error.message
-      });
+      case 'plugins': {
+        const items = Array.isArray(raw) ? raw : typeof raw === 'string' ? raw.split(',') : [raw];
+        return items.map(item => (typeof item === 'string' ? item.trim() : item)).filter((item) => {
+          if (item === '') return false;
+          // Plugin objects and factories only come from the library options
+          if (typeof item === 'string' || typeof item === 'function') return true;
+          if (item && typeof item === 'object' && (typeof item.module === 'string' || PLUGIN_HOOKS.some(hook => typeof item[hook] === 'function'))) return true;
+          return fail();
+        });
+      }
+      case 'damPath':
+        return normalizeFolderPath(String(raw));
+      default:
+        return String(raw);
     }
-
-    // Small delay to be nice to the server
-    await sleep(config.sleepTime);
   }
 
-  console.log(`\nQuery processing complete: ${assets.length} valid assets found`);
-  return assets;
-}
-
-// ============================================
-// FIND/SEARCH FUNCTIONALITY
-// ============================================
+  function setConfigValue(setting, raw, source) {
+    const previous = configSources[setting.key];
+    configSources[setting.key] = source;
+    const value = coerceSetting(setting, raw);
+    if (value === null) {
+      configSources[setting.key] = previous;
+      return;
+    }
+    config[setting.key] = value;
+  }
 
-/**
- * Find assets matching a pattern in the DAM
- */
-async function findAssets(pattern) {
-  console.log('\nSEARCHING FOR ASSETS (QueryBuilder)');
-  console.log('='.repeat(60));
-  console.log(`Search pattern: "${pattern}"`);
-
-  // Substring semantics: wrap in wildcards unless the caller already used them.
-  const nodename = pattern.includes('*') ? pattern : `*${pattern}*`;
-  const qs = [
-    'path=' + encodeURIComponent('/content/dam'),
-    'type=' + encodeURIComponent('dam:Asset'),
-    'nodename=' + encodeURIComponent(nodename),
-    'p.limit=500',
-    'p.hits=full'
-  ].join('&');
-  const url = `${config.baseUrl}/bin/querybuilder.json?${qs}`;
-
-  let response;
-  try {
-    response = await makeRequestWithRetry(url);
-  } catch (e) {
-    console.error(`QueryBuilder request failed: ${e.message}`);
-    return [];
+  // Config file keys may use the setting name (maxConcurrent) or its env name (MAX_CONCURRENT)
+  function findSetting(name) {
+    return CONFIG_SETTINGS.find(setting => setting.key === name || settingEnvNames(setting).includes(name));
   }
 
-  if (!response || typeof response !== 'object' || !Array.isArray(response.hits)) {
-    console.error('QueryBuilder returned an unexpected response (check cookie/permissions).');
-    return [];
+  function applyConfigObject(values, source, label) {
+    Object.entries(values).forEach(([name, raw]) => {
+      const setting = findSetting(name);
+      if (!setting) throw new Error(`Unknown setting "${name}" in ${label}`);
+      setConfigValue(setting, raw, source);
+    });
   }
 
-  console.log(`QueryBuilder: ${response.hits.length} hit(s)` +
-    (response.total != null ? ` (total reported: ${response.total})` : ''));
+  // The settings an environment (process.env or the values of a .env file) names
+  function applyEnvValues(env, sourcePrefix) {
+    CONFIG_SETTINGS.forEach(setting => {
+      const envName = settingEnvNames(setting).find(name => env[name] !== undefined && env[name] !== '');
+      if (!envName) return;
+
+      const previousSource = configSources[setting.key];
+      const previousValue = JSON.stringify(config[setting.key]);
+      setConfigValue(setting, env[envName], `${sourcePrefix}:${envName}`);
+      if (previousSource.startsWith('profile:') && JSON.stringify(config[setting.key]) !== previousValue) {
+        logger.warn(`Warning: ${envName} from the environment overrides "${setting.key}" in profile ${previousSource.slice(8)}`);
+      }
+    });
+  }
 
-  const foundAssets = [];
-  const seen = new Set();
+  /**
+   * Apply the config file, the downloader's .env file, the selected profile, an environment
+   * (process.env for the command line) and the AemDownloader options to config, recording
+   * where each value came from. The command line is applied afterwards (see applyCliOptions).
+   * .env sits below the profile: it holds this machine's defaults, while the profile is
+   * picked for one run. Throws on invalid values.
+   * Sets config.configFile and config.profile for the startup banner and config.json.
+   */
+  function applyConfigLayers({ configFile = null, profile: profileName = null, env = {}, options = {} }) {
+    let fileValues = {};
+    if (configFile) {
+      if (!fs.existsSync(configFile)) throw new Error(`Config file not found: ${configFile}`);
+      try {
+        fileValues = JSON.parse(fs.readFileSync(configFile, 'utf-8'));
+      } catch (error) {
+        throw new Error(`Config file ${configFile} is not valid JSON: ${error.message}`);
+      }
+      if (!fileValues || typeof fileValues !== 'object' || Array.isArray(fileValues)) {
+        throw new Error(`Config file ${configFile} must contain a JSON object`);
+      }
+    }
 
-  for (const hit of response.hits) {
-    const itemPath = hit['jcr:path'];
-    if (!itemPath || seen.has(itemPath)) continue;
-    seen.add(itemPath);
+    const { profiles = {}, ...topLevel } = fileValues;
+    applyConfigObject(topLevel, `file:${configFile}`, configFile);
 
-    // QB hits often omit deep metadata; fetch the asset's own JSON for full info.
-    let assetData = hit;
-    try {
-      const full = await makeRequestWithRetry(`${config.baseUrl}${itemPath}.json`);
-      if (full && typeof full === 'object') assetData = full;
-    } catch (e) {
-      // Fall back to QB hit
+    if (envFile && fs.existsSync(envFile)) {
+      applyEnvValues(readEnvFile(envFile), 'env-file');
     }
 
-    const assetInfo = extractAssetInfo(assetData, itemPath);
-    if (assetInfo && isValidAsset(assetInfo)) {
-      assetInfo.matchReason = 'QueryBuilder nodename match';
-      foundAssets.push(assetInfo);
-      console.log(`Found: ${assetInfo.path}`);
-      console.log(`   Size: ${assetInfo.size ? formatBytes(assetInfo.size) : 'Unknown'}`);
+    if (profileName) {
+      if (!profiles[profileName]) {
+        const available = Object.keys(profiles);
+        throw new Error(`Unknown profile "${profileName}"` + (available.length > 0
+          ? ` (${configFile} defines: ${available.join(', ')})`
+          : ` (no profiles defined${configFile ? ` in ${configFile}` : `; create ${DEFAULT_CONFIG_FILE}`})`));
+      }
+      applyConfigObject(profiles[profileName], `profile:${profileName}`, `profile "${profileName}"`);
     }
-  }
-
-  console.log('='.repeat(60));
-  console.log(`SEARCH COMPLETE: Found ${foundAssets.length} matching assets`);
-  console.log('='.repeat(60) + '\n');
-
-  if (foundAssets.length === 0) {
-    console.log('Search tips:');
-    console.log('- Try a shorter pattern (matching is against the node name only)');
-    console.log('- Use "*" wildcards explicitly if needed, e.g. "*radio*"');
-    console.log('- Verify the asset exists under /content/dam');
-  }
 
-  return foundAssets;
-}
-
-/**
- * Find assets from a single string containing patterns or filenames
- */
-async function findFromString(searchString) {
-  console.log('\nSEARCHING FROM STRING');
-  console.log('='.repeat(60));
-  console.log(`Search string: "${searchString}"`);
+    applyEnvValues(env, 'env');
 
-  // Parse the string - could be comma-separated patterns or a single filename
-  let patterns = [];
+    applyConfigObject(options, 'options', 'options');
 
-  // Check if it looks like a filename (has extension)
-  if (searchString.includes('.') && !searchString.includes(',')) {
-    patterns = [searchString.trim()];
-  } else {
-    // Split by comma and clean up
-    patterns = searchString.split(',').map(p => p.trim()).filter(p => p);
+    config.configFile = configFile;
+    config.profile = profileName;
   }
 
-  console.log(`Parsed into patterns: ${patterns.map(p => `"${p}"`).join(', ')}`);
-
-  if (patterns.length === 1) {
-    // Use single pattern search for one pattern
-    return await findAssets(patterns[0]);
-  } else if (patterns.length > 1) {
-    // Use multiple pattern search for multiple patterns
-    return await findMultipleAssets(patterns);
-  } else {
-    console.log('No valid patterns found in string');
-    return [];
-  }
-}
-async function findMultipleAssets(patterns) {
-  console.log('\nSEARCHING FOR MULTIPLE PATTERNS (QueryBuilder)');
-  console.log('='.repeat(60));
-  console.log(`Search patterns: ${patterns.map(p => `"${p}"`).join(', ')}`);
+  // Final check after every layer (the checkpoint and the library set some values directly)
+  function validateConfig() {
+    CONFIG_SETTINGS.forEach(setting => {
+      const value = coerceSetting(setting, config[setting.key]);
+      if (value === null && setting.required) {
+        throw new Error(`${settingEnvNames(setting)[0] || setting.key} is required (set it in .env, the environment, ${DEFAULT_CONFIG_FILE}, a profile or the ${setting.key} option)`);
+      }
+      if (value !== null) config[setting.key] = value;
+    });
 
-  const foundAssets = [];
-  const searchResults = new Map();
+    if (config.minFileSize > config.maxFileSize) {
+      throw new Error(`${describeSettingSource(findSetting('minFileSize'))} (${config.minFileSize}) is larger than ` +
+        `${describeSettingSource(findSetting('maxFileSize'))} (${config.maxFileSize})`);
+    }
 
-  // One QueryBuilder request per pattern, so each hit retains its matchedPattern attribution.
-  for (const pattern of patterns) {
-    const matches = await findAssets(pattern);
-    for (const match of matches) {
-      match.matchedPattern = pattern;
-      if (!searchResults.has(match.path)) {
-        searchResults.set(match.path, match);
-        foundAssets.push(match);
+    for (const field of ['modified', 'created']) {
+      const since = config.dateFilters[`${field}Since`];
+      const before = config.dateFilters[`${field}Before`];
+      if (since && before && Date.parse(since) >= Date.parse(before)) {
+        throw new Error(`--${field}-since must be earlier than --${field}-before`);
       }
     }
   }
 
-  console.log('='.repeat(60));
-  console.log(`MULTI-PATTERN SEARCH COMPLETE: Found ${foundAssets.length} unique assets`);
-  console.log('='.repeat(60) + '\n');
+  // { cookie: '***REDACTED***', password: undefined, ... } to spread over a config copy
+  function getRedactedSecrets() {
+    const redacted = {};
+    CONFIG_SETTINGS.filter(setting => setting.secret).forEach(setting => {
+      redacted[setting.key] = config[setting.key] ? '***REDACTED***' : undefined;
+    });
+    return redacted;
+  }
 
-  if (foundAssets.length === 0) {
-    console.log('Search tips:');
-    console.log('- Try shorter patterns');
-    console.log('- Use "*" wildcards explicitly if needed, e.g. "*radio*"');
-    console.log('- Verify the assets exist under /content/dam');
-  } else {
-    console.log('Results by pattern:');
-    patterns.forEach(pattern => {
-      const matches = foundAssets.filter(asset =>
-        asset.matchedPattern && asset.matchedPattern.toLowerCase() === pattern.toLowerCase()
-      );
-      console.log(`   "${pattern}": ${matches.length} matches`);
+  // Settings and their sources for config.json, with secrets redacted
+  function describeConfigSources() {
+    const redacted = getRedactedSecrets();
+    const sources = {};
+    CONFIG_SETTINGS.forEach(setting => {
+      sources[setting.key] = {
+        value: setting.key in redacted ? redacted[setting.key] : config[setting.key],
+        source: configSources[setting.key]
+      };
     });
+    return sources;
   }
 
-  return foundAssets;
-}
+  // ============================================
+  // RATE LIMITING
+  // ============================================
+
+  // Token bucket shared by every request (discovery, search and downloads).
+  // Throttling responses halve the rate and Retry-After pauses all requests;
+  // the rate then climbs back toward config.requestsPerSecond while responses succeed.
+  const limiter = {
+    rate: null, // Current requests/second; null until first use so CLI/env overrides apply
+    tokens: 0,
+    refilledAt: 0,
+    pausedUntil: 0,
+    throttledAt: 0,
+    recoveredAt: 0
+  };
 
-/**
- * Search for pattern matches in a specific folder
- */
-async function searchInFolder(folderPath, pattern) {
-  config.stats.foldersScanned++;
+  const RATE_RECOVERY_DELAY = 10000; // Quiet period after throttling before the rate climbs again
 
-  const jsonDepths = config.smartDepthDetection
-    ? ['.1.json', '.json', '.2.json', '.3.json', '.4.json', '.5.json']
-    : ['.1.json', '.json'];
+  async function acquireRequestSlot() {
+    if (limiter.rate === null) {
+      limiter.rate = config.requestsPerSecond;
+      limiter.tokens = config.requestBurst;
+      limiter.refilledAt = Date.now();
+    }
 
-  let bestData = null;
-  let maxItems = 0;
-  const errors = [];
+    for (;;) {
+      const now = Date.now();
+      if (now < limiter.pausedUntil) {
+        await sleep(limiter.pausedUntil - now);
+        continue;
+      }
 
-  for (const jsonDepth of jsonDepths) {
-    try {
-      const url = `${config.baseUrl}${folderPath}${jsonDepth}`;
-      const data = await makeRequestWithRetry(url);
-
-      if (data && typeof data === 'object') {
-        const itemCount = Object.keys(data).filter(k => !k.startsWith('jcr:') && !k.startsWith(':')).length;
-        if (itemCount > maxItems || (bestData === null && itemCount >= 0)) {
-          maxItems = itemCount;
-          bestData = data;
-          if (itemCount > 50) break;
-        }
+      limiter.tokens = Math.min(config.requestBurst, limiter.tokens + (now - limiter.refilledAt) / 1000 * limiter.rate);
+      limiter.refilledAt = now;
+
+      if (limiter.tokens >= 1) {
+        limiter.tokens -= 1;
+        return;
       }
-    } catch (error) {
-      errors.push(`${jsonDepth}: ${error.message}`);
+      await sleep(Math.ceil((1 - limiter.tokens) / limiter.rate * 1000));
     }
   }
 
-  if (!bestData) {
-    console.log(`Warning: could not load ${folderPath} (all depths failed)`);
-    if (errors.length) console.log(`   ${errors.join('; ')}`);
-    return [];
+  /**
+   * Parse Retry-After (delay in seconds or an HTTP date) into milliseconds
+   */
+  function parseRetryAfter(value) {
+    if (!value) return null;
+    if (/^\d+$/.test(value.trim())) return parseInt(value, 10) * 1000;
+    const date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
   }
 
-  console.log(`Searching in: ${folderPath}`);
-  return await searchInDAMData(bestData, folderPath, pattern);
-}
-
-/**
- * Search for pattern matches in a specific folder (multiple patterns)
- */
-async function searchInFolderMultiple(folderPath, patterns) {
-  config.stats.foldersScanned++;
-
-  const jsonDepths = config.smartDepthDetection
-    ? ['.1.json', '.json', '.2.json', '.3.json', '.4.json', '.5.json']
-    : ['.1.json', '.json'];
+  function noteThrottled(status, retryAfterMs) {
+    const throttle = config.stats.throttle;
+    const now = Date.now();
 
-  let bestData = null;
-  let maxItems = 0;
-  const errors = [];
+    throttle.responses++;
+    throttle.byStatus[status] = (throttle.byStatus[status] || 0) + 1;
 
-  for (const jsonDepth of jsonDepths) {
-    try {
-      const url = `${config.baseUrl}${folderPath}${jsonDepth}`;
-      const data = await makeRequestWithRetry(url);
-
-      if (data && typeof data === 'object') {
-        const itemCount = Object.keys(data).filter(k => !k.startsWith('jcr:') && !k.startsWith(':')).length;
-        if (itemCount > maxItems || (bestData === null && itemCount >= 0)) {
-          maxItems = itemCount;
-          bestData = data;
-          if (itemCount > 50) break;
-        }
+    // Back off multiplicatively, at most once per second so a burst of 429s counts once
+    if (limiter.rate !== null && now - limiter.throttledAt > 1000) {
+      limiter.rate = Math.max(limiter.rate / 2, 0.5);
+      limiter.tokens = 0;
+      throttle.lowestRate = Math.min(throttle.lowestRate ?? limiter.rate, limiter.rate);
+      logger.log(`\nServer throttling (HTTP ${status}) - slowing to ${limiter.rate.toFixed(1)} requests/s`);
+    }
+    limiter.throttledAt = now;
+
+    if (retryAfterMs > 0) {
+      const until = now + retryAfterMs;
+      if (until > limiter.pausedUntil) {
+        throttle.pausedMs += until - Math.max(now, limiter.pausedUntil);
+        throttle.retryAfterPauses++;
+        limiter.pausedUntil = until;
+        logger.log(`\nServer asked to retry after ${Math.ceil(retryAfterMs / 1000)}s - pausing all requests`);
       }
-    } catch (error) {
-      errors.push(`${jsonDepth}: ${error.message}`);
     }
   }
 
-  if (!bestData) {
-    console.log(`Warning: could not load ${folderPath} (all depths failed)`);
-    if (errors.length) console.log(`   ${errors.join('; ')}`);
-    return [];
+  // Additive recovery: +10% of the configured rate per second once throttling has stopped
+  function noteRequestSucceeded() {
+    if (limiter.rate === null || limiter.rate >= config.requestsPerSecond) return;
+    const now = Date.now();
+    if (now - limiter.throttledAt < RATE_RECOVERY_DELAY || now - limiter.recoveredAt < 1000) return;
+    limiter.rate = Math.min(config.requestsPerSecond, limiter.rate + config.requestsPerSecond / 10);
+    limiter.recoveredAt = now;
   }
 
-  console.log(`Searching in: ${folderPath}`);
-  return await searchInDAMDataMultiple(bestData, folderPath, patterns);
-}
-
-/**
- * Search through DAM data for pattern matches
- */
-async function searchInDAMData(data, basePath, pattern) {
-  if (!data || typeof data !== 'object') return [];
+  /**
+   * Exponential backoff with jitter: retryDelay, 2x, 4x ... capped at maxRetryDelay,
+   * each randomized between half and the full value so parallel retries spread out.
+   */
+  function getRetryDelay(attempt, error = {}) {
+    const base = Math.min(config.maxRetryDelay, config.retryDelay * Math.pow(2, attempt - 1));
+    const delay = base / 2 + Math.random() * base / 2;
+    return Math.max(delay, error.retryAfter || 0);
+  }
 
-  const matches = [];
+  // ============================================
+  // CONNECTIONS, PROXIES AND TLS
+  // ============================================
 
-  for (const key in data) {
-    if (key.startsWith('jcr:') || key.startsWith(':') ||
-      key === 'rep:policy' || key === 'cq:conf') continue;
+  // Keep-alive agents, created on first use so CLI overrides apply. Keyed by scheme and proxy.
+  const httpAgents = {};
 
-    const item = data[key];
-    if (!item || typeof item !== 'object') continue;
+  // HTTPS through an HTTP(S) proxy: open a CONNECT tunnel, then TLS over it.
+  // Sockets stay pooled like any other keep-alive agent.
+  class TunnelAgent extends https.Agent {
+    constructor(proxyUrl, options) {
+      super(options);
+      this.proxyUrl = proxyUrl;
+    }
 
-    const itemPath = item['jcr:path'] || `${basePath}/${key}`;
-    const primaryType = item['jcr:primaryType'];
+    createConnection(options, callback) {
+      const proxy = this.proxyUrl;
+      const target = `${options.host}:${options.port}`;
+      const connectReq = (proxy.protocol === 'https:' ? https : http).request({
+        hostname: proxy.hostname,
+        port: proxy.port || (proxy.protocol === 'https:' ? 443 : 80),
+        method: 'CONNECT',
+        path: target,
+        headers: { 'Host': target, ...getProxyAuthHeaders(proxy) },
+        agent: false,
+        timeout: config.requestTimeout
+      });
 
-    // Check if it's an asset
-    if (isAsset(item, primaryType)) {
-      const assetInfo = extractAssetInfo(item, itemPath);
-      if (assetInfo) {
-        const matchReason = checkPatternMatch(assetInfo, pattern);
-        if (matchReason) {
-          assetInfo.matchReason = matchReason;
-          matches.push(assetInfo);
+      connectReq.once('connect', (res, socket) => {
+        if (res.statusCode !== 200) {
+          socket.destroy();
+          callback(new RequestError(ERROR_TYPES.NETWORK, `Proxy refused tunnel to ${target} (HTTP ${res.statusCode})`, { code: 'EPROXY' }));
+          return;
         }
-      }
+        callback(null, tls.connect({ ...options, socket, servername: options.servername || options.host }));
+      });
+      connectReq.once('timeout', () => connectReq.destroy(new Error(`Proxy CONNECT to ${target} timed out`)));
+      connectReq.once('error', callback);
+      connectReq.end();
     }
+  }
+
+  function getProxyAuthHeaders(proxyUrl) {
+    if (!proxyUrl.username) return {};
+    const credentials = `${decodeURIComponent(proxyUrl.username)}:${decodeURIComponent(proxyUrl.password)}`;
+    return { 'Proxy-Authorization': `Basic ${Buffer.from(credentials).toString('base64')}` };
+  }
+
+  // NO_PROXY entries: "*", host names (matching subdomains too), ".suffix", "*.suffix", optional :port
+  function isProxyBypassed(urlObj) {
+    const port = urlObj.port || (urlObj.protocol === 'https:' ? '443' : '80');
+    return String(config.noProxy || '').split(/[\s,]+/).filter(Boolean).some(entry => {
+      if (entry === '*') return true;
+      const [host, entryPort] = entry.toLowerCase().replace(/^\*?\./, '').split(':');
+      if (entryPort && entryPort !== port) return false;
+      const hostname = urlObj.hostname.toLowerCase();
+      return hostname === host || hostname.endsWith(`.${host}`);
+    });
+  }
+
+  // "proxy.corp:8080" is shorthand for http://proxy.corp:8080
+  const parseProxyUrl = (proxy) => new URL(/^[a-z]+:\/\//i.test(proxy) ? proxy : `http://${proxy}`);
+
+  // Proxy URL for a request, or null to connect directly
+  function getProxyFor(urlObj) {
+    const proxy = urlObj.protocol === 'https:' ? config.httpsProxy : config.httpProxy;
+    if (!proxy || isProxyBypassed(urlObj)) return null;
+    return parseProxyUrl(proxy);
+  }
+
+  // Extra trust anchors are added to Node's bundled CAs, so public hosts keep working behind an internal CA
+  function getTlsOptions() {
+    const tlsOptions = {};
+    if (config.caFile) tlsOptions.ca = [...tls.rootCertificates, fs.readFileSync(config.caFile, 'utf-8')];
+    if (config.clientCert) tlsOptions.cert = fs.readFileSync(config.clientCert);
+    if (config.clientKey) tlsOptions.key = fs.readFileSync(config.clientKey);
+    if (config.clientKeyPassphrase) tlsOptions.passphrase = config.clientKeyPassphrase;
+    return tlsOptions;
+  }
+
+  function getAgent(urlObj, proxyUrl) {
+    const isHttps = urlObj.protocol === 'https:';
+    const key = `${isHttps ? 'https' : 'http'}|${proxyUrl ? proxyUrl.href : ''}`;
+    if (!httpAgents[key]) {
+      const agentOptions = { keepAlive: true, maxSockets: config.maxSockets };
+      if (!isHttps) {
+        httpAgents[key] = new http.Agent(agentOptions);
+      } else if (proxyUrl) {
+        httpAgents[key] = new TunnelAgent(proxyUrl, { ...agentOptions, ...getTlsOptions() });
+      } else {
+        httpAgents[key] = new https.Agent({ ...agentOptions, ...getTlsOptions() });
+      }
+    }
+    return httpAgents[key];
+  }
+
+  // Read the TLS files and parse the proxy URLs up front, so a typo fails at startup
+  // rather than as a connection error on the first request. Throws with the offending setting.
+  function validateConnectionSettings() {
+    [['caFile', '--ca / CA_FILE'], ['clientCert', '--cert / CLIENT_CERT'], ['clientKey', '--key / CLIENT_KEY']].forEach(([key, name]) => {
+      if (config[key] && !fs.existsSync(config[key])) throw new Error(`${name} file not found: ${config[key]}`);
+    });
+    if (Boolean(config.clientCert) !== Boolean(config.clientKey)) {
+      throw new Error('CLIENT_CERT and CLIENT_KEY must be set together');
+    }
+    [['httpsProxy', 'HTTPS_PROXY'], ['httpProxy', 'HTTP_PROXY']].forEach(([key, name]) => {
+      if (!config[key]) return;
+      try {
+        parseProxyUrl(config[key]);
+      } catch (e) {
+        throw new Error(`${name} is not a valid URL: ${config[key]}`);
+      }
+    });
+  }
+
+  // Decompressed body stream for Content-Encoding gzip, deflate or br
+  function decodeResponse(res) {
+    switch (String(res.headers['content-encoding'] || '').toLowerCase()) {
+      case 'gzip':
+      case 'x-gzip':
+        return res.pipe(zlib.createGunzip());
+      case 'deflate':
+        return res.pipe(zlib.createInflate());
+      case 'br':
+        return res.pipe(zlib.createBrotliDecompress());
+      default:
+        return res;
+    }
+  }
+
+  const LOGIN_URL_MARKERS = /\/libs\/granite\/core\/content\/login|\/j_security_check|\/login\.html|\/system\/sling\/login/i;
+
+  // ============================================
+  // HTTP CLIENT WITH SMART RETRY
+  // ============================================
+
+  async function makeRequest(url, options = {}) {
+    throwIfStopped();
+    // Requests queue behind a credential renewal instead of failing with the expired session
+    if (session.renewing && !options.renewalCheck) await session.renewing;
+    await acquireRequestSlot();
+    const authHeaders = options.auth === false ? {} : await getAuthHeaders();
+
+    return new Promise((resolve, reject) => {
+      const urlObj = new URL(url);
+      const isHttps = urlObj.protocol === 'https:';
+      const client = isHttps ? https : http;
+      const proxyUrl = getProxyFor(urlObj);
+
+      // Binary streams are checksummed and resumed by byte offset, so only JSON/text is compressed
+      const requestOptions = {
+        hostname: urlObj.hostname,
+        port: urlObj.port || (isHttps ? 443 : 80),
+        path: urlObj.pathname + urlObj.search,
+        method: options.method || 'GET',
+        agent: getAgent(urlObj, proxyUrl),
+        headers: {
+          'Accept': 'application/json,*/*',
+          'Accept-Encoding': options.responseType === 'stream' ? 'identity' : 'gzip, deflate, br',
+          'Accept-Language': 'en-GB,en-US;q=0.9,en;q=0.8',
+          'Cache-Control': 'no-cache',
+          ...authHeaders,
+          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
+          'Referer': config.baseUrl,
+          ...options.headers
+        },
+        timeout: config.requestTimeout,
+        signal: getCallSignal()
+      };
+
+      // Plain HTTP through a proxy: send the absolute URL to the proxy itself
+      if (proxyUrl && !isHttps) {
+        requestOptions.hostname = proxyUrl.hostname;
+        requestOptions.port = proxyUrl.port || 80;
+        requestOptions.path = urlObj.href;
+        Object.assign(requestOptions.headers, { 'Host': urlObj.host }, getProxyAuthHeaders(proxyUrl));
+      }
+
+      const req = client.request(requestOptions, (res) => {
+        if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+          res.resume();
+          const redirects = (options.redirects || 0) + 1;
+          const target = new URL(res.headers.location, url);
+          if (LOGIN_URL_MARKERS.test(target.pathname)) {
+            return reject(new RequestError(ERROR_TYPES.UNAUTHORIZED, 'Redirected to login page (session expired)', { url, loginPage: true }));
+          }
+          if (redirects > config.maxRedirects) {
+            return reject(new RequestError(ERROR_TYPES.CLIENT, `Too many redirects (more than ${config.maxRedirects})`, { url }));
+          }
+
+          const redirectOptions = { ...options, redirects };
+          // Credentials stay with the AEM origin (binaries may redirect to signed storage URLs)
+          if (target.origin !== urlObj.origin) redirectOptions.auth = false;
+          if (res.statusCode === 303 || ((res.statusCode === 301 || res.statusCode === 302) && requestOptions.method === 'POST')) {
+            redirectOptions.method = 'GET';
+            redirectOptions.body = undefined;
+          }
+          return makeRequest(target.href, redirectOptions).then(resolve).catch(reject);
+        }
+
+        if (res.statusCode >= 400) {
+          res.resume();
+          const error = new RequestError(classifyStatus(res.statusCode), `HTTP ${res.statusCode}`, { status: res.statusCode, url });
+          if (error.type === ERROR_TYPES.THROTTLED) {
+            error.retryAfter = parseRetryAfter(res.headers['retry-after']);
+            noteThrottled(res.statusCode, error.retryAfter);
+          }
+          return reject(error);
+        }
+
+        noteRequestSucceeded();
+
+        const isHtml = String(res.headers['content-type'] || '').toLowerCase().includes('text/html');
+        if (options.responseType === 'stream' && options.expectBinary && isHtml) {
+          let html = '';
+          res.on('data', chunk => { if (html.length < 65536) html += chunk; });
+          res.on('end', () => {
+            reject(isLoginPage(html)
+              ? new RequestError(ERROR_TYPES.UNAUTHORIZED, 'Login page instead of binary (session expired)', { url, loginPage: true })
+              : new RequestError(ERROR_TYPES.INVALID_CONTENT, 'HTML response instead of binary (likely login or error page)', { url }));
+          });
+          return;
+        }
+
+        if (options.responseType === 'stream') {
+          resolve(res);
+          return;
+        }
+
+        const chunks = [];
+        const body = decodeResponse(res);
+        body.on('data', chunk => chunks.push(chunk));
+        body.on('error', (error) => {
+          reject(new RequestError(ERROR_TYPES.INVALID_CONTENT, `Could not decode ${res.headers['content-encoding']} response: ${error.message}`, { url }));
+        });
+        body.on('end', () => {
+          const data = Buffer.concat(chunks).toString('utf-8');
+          try {
+            if (options.json === false) {
+              resolve(data);
+            } else {
+              const result = JSON.parse(data);
+              resolve(result);
+            }
+          } catch (e) {
+            const trimmed = (data || '').trimStart();
+            if (trimmed.startsWith('<')) {
+              if (isLoginPage(trimmed)) {
+                return reject(new RequestError(ERROR_TYPES.UNAUTHORIZED, 'Login page instead of JSON (session expired)', { url, loginPage: true }));
+              }
+              return reject(new RequestError(ERROR_TYPES.INVALID_CONTENT, 'HTML response (likely expired/invalid credentials or wrong URL)', { url }));
+            }
+            resolve(data);
+          }
+        });
+      });
+
+      req.on('error', (error) => {
+        if (error instanceof RequestError) return reject(error);
+        if (getStopError()) return reject(getStopError());
+        if (isTlsError(error)) {
+          return reject(new RequestError(ERROR_TYPES.TLS, `TLS error: ${error.reason || error.message.split('\n')[0]} (check --ca / --cert / --key)`, { code: error.code, url }));
+        }
+        reject(new RequestError(ERROR_TYPES.NETWORK, error.message, { code: error.code, url }));
+      });
+      req.on('timeout', () => {
+        req.destroy();
+        reject(new RequestError(ERROR_TYPES.TIMEOUT, 'Request timeout', { url }));
+      });
+
+      if (options.body) req.write(options.body);
+      req.end();
+    });
+  }
+
+  async function makeRequestWithRetry(url, options = {}, attempt = 1) {
+    const startedAt = Date.now();
+    try {
+      return await makeRequest(url, options);
+    } catch (error) {
+      throwIfStopped();
+      // A rejected service token is replaced once before the 401 counts as a failure
+      if (error.type === ERROR_TYPES.UNAUTHORIZED && options.auth !== false && !options.tokenRetried && expireServiceToken(startedAt)) {
+        return makeRequestWithRetry(url, { ...options, tokenRetried: true }, attempt);
+      }
+      // An expired session pauses every request until fresh credentials arrive (or the run checkpoints and exits)
+      if (error.type === ERROR_TYPES.UNAUTHORIZED && options.auth !== false && !options.credentialsRenewed && canRenewCredentials()) {
+        await renewCredentials(startedAt);
+        return makeRequestWithRetry(url, { ...options, credentialsRenewed: true }, attempt);
+      }
+      // Permanent failures (404, 401/403, login pages) fail fast
+      if (attempt < config.retryAttempts && isRetryable(error)) {
+        config.stats.throttle.retries++;
+        await sleep(getRetryDelay(attempt, error));
+        return makeRequestWithRetry(url, options, attempt + 1);
+      }
+      throw error;
+    }
+  }
+
+  // ============================================
+  // UTILITY FUNCTIONS
+  // ============================================
+
+  // Pauses end early, with the stop error, when the running call is stopped
+  const sleep = (ms) => new Promise((resolve, reject) => {
+    const call = activeCall;
+    if (call && call.stopped) return reject(call.stopped);
+    const onStop = () => {
+      clearTimeout(timer);
+      reject(call.stopped);
+    };
+    const timer = setTimeout(() => {
+      if (call) call.signal.removeEventListener('abort', onStop);
+      resolve();
+    }, ms);
+    if (call) call.signal.addEventListener('abort', onStop, { once: true });
+  });
+
+  // Wait for every worker, then fail with the first error, so no worker outlives its call
+  async function settleAll(workers) {
+    const results = await Promise.allSettled(workers);
+    const failed = results.find(result => result.status === 'rejected');
+    if (failed) throw failed.reason;
+  }
+
+  const formatDuration = (ms) => {
+    const seconds = Math.round(ms / 1000);
+    if (seconds >= 3600) return `${Math.floor(seconds / 3600)}h ${Math.floor((seconds % 3600) / 60)}m`;
+    return seconds >= 60 ? `${Math.floor(seconds / 60)}m ${seconds % 60}s` : `${seconds}s`;
+  };
+
+  const ensureDirectory = (dirPath) => {
+    fs.mkdirSync(dirPath, { recursive: true });
+  };
+
+  // Temp files sit in the target's directory (so rename stays atomic) and carry the
+  // writer's PID, which lets cleanupStaleTempFiles tell abandoned ones from live ones.
+  const TEMP_FILE_PATTERN = /\.aem-(\d+)\.tmp$/;
+  const getTempPath = (filePath) => `${filePath}.aem-${process.pid}.tmp`;
+
+  // Write to a temp file, check it landed completely, then rename it over the target.
+  const writeFileAtomic = (filePath, content) => {
+    const tempPath = getTempPath(filePath);
+    const expectedSize = Buffer.byteLength(content);
+
+    try {
+      fs.writeFileSync(tempPath, content);
+      const writtenSize = fs.statSync(tempPath).size;
+      if (writtenSize !== expectedSize) {
+        throw new Error(`Incomplete write of ${filePath}: ${writtenSize} of ${expectedSize} bytes`);
+      }
+      fs.renameSync(tempPath, filePath);
+    } catch (error) {
+      if (fs.existsSync(tempPath)) fs.unlinkSync(tempPath);
+      throw error;
+    }
+  };
+
+  // Remove temp files left by runs that died mid-write. Files whose PID is still
+  // alive belong to a concurrent run and are left alone. .part files are kept:
+  // they are resumable downloads, not temp files.
+  const cleanupStaleTempFiles = (dirPath) => {
+    let removed = 0;
+    if (!fs.existsSync(dirPath)) return removed;
+
+    const isAlive = (pid) => {
+      if (pid === process.pid) return true;
+      try {
+        process.kill(pid, 0);
+        return true;
+      } catch (e) {
+        return e.code === 'EPERM';
+      }
+    };
+
+    const walk = (dir) => {
+      for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          walk(fullPath);
+          continue;
+        }
+        const match = entry.name.match(TEMP_FILE_PATTERN);
+        if (match && !isAlive(parseInt(match[1]))) {
+          fs.unlinkSync(fullPath);
+          removed++;
+        }
+      }
+    };
+
+    walk(dirPath);
+    return removed;
+  };
+
+  // Split a DAM asset path into local path segments relative to config.stripPrefix.
+  // Assets outside the prefix fall back to stripping /content/dam; '.' and '..'
+  // segments are dropped so nothing can escape the output directory.
+  const getRelativeAssetSegments = (assetPath) => {
+    const normalized = normalizeFolderPath(assetPath);
+    let relative = normalized;
+
+    for (const prefix of [normalizeFolderPath(config.stripPrefix), '/content/dam']) {
+      if (prefix !== '/' && normalized.startsWith(prefix + '/')) {
+        relative = normalized.slice(prefix.length);
+        break;
+      }
+    }
+
+    const segments = relative.split('/').filter(s => s && s !== '.' && s !== '..');
+    return segments.length > 0 ? segments : [path.basename(normalized)];
+  };
+
+  // Local file path for an asset. 'flat' keeps the historical filename-only layout;
+  // 'tree' recreates the DAM hierarchy under config.outputDir.
+  const getAssetOutputPath = (assetInfo) => {
+    if (config.outputLayout === 'tree') {
+      return path.join(config.outputDir, ...getRelativeAssetSegments(assetInfo.path));
+    }
+    return path.join(config.outputDir, assetInfo.name);
+  };
+
+  // Relative, forward-slash form of a local path for reports and sidecars.
+  const toOutputRelative = (filePath) => path.relative(config.outputDir, filePath).split(path.sep).join('/');
+
+  // Insert a suffix before the file extension: logo.png -> logo-1.png
+  const addFilenameSuffix = (filePath, suffix) => {
+    const ext = path.extname(filePath);
+    return `${filePath.slice(0, filePath.length - ext.length)}-${suffix}${ext}`;
+  };
+
+  // ============================================
+  // AUTHENTICATION
+  // ============================================
+
+  const AUTH_METHODS = ['cookie', 'basic', 'bearer', 'service'];
+
+  const CREDENTIAL_LABELS = {
+    cookie: 'Cookie',
+    basic: 'Basic auth',
+    bearer: 'Bearer token',
+    service: 'Service token'
+  };
+
+  const DEFAULT_IMS_HOST = 'ims-na1.adobelogin.com';
+  const DEFAULT_METASCOPES = ['ent_aem_cloud_api'];
+
+  // Service tokens are replaced this long before they expire (or halfway, for short-lived ones),
+  // so queued requests never carry a stale one
+  const TOKEN_REFRESH_MARGIN = 5 * 60 * 1000;
+
+  // Service token cache. Kept out of config so tokens never reach config.json or the checkpoint.
+  const auth = {
+    credentials: null, // Parsed SERVICE_CREDENTIALS file
+    accessToken: null,
+    issuedAt: 0,
+    refreshAt: 0,
+    expiresAt: 0,
+    refreshing: null, // In-flight token request, shared by every worker that needs a token
+    refreshes: 0
+  };
+
+  // --auth / AUTH_METHOD wins; otherwise the first method whose settings are present
+  function resolveAuthMethod() {
+    if (config.authMethod) {
+      if (!AUTH_METHODS.includes(config.authMethod)) {
+        throw new Error(`Unknown auth method "${config.authMethod}" (use ${AUTH_METHODS.join(', ')})`);
+      }
+      return config.authMethod;
+    }
+    if (config.serviceCredentials) return 'service';
+    if (config.bearerToken) return 'bearer';
+    if (config.username) return 'basic';
+    if (config.cookie) return 'cookie';
+    return null;
+  }
+
+  // Resolve and validate the auth method once at startup; throws with setup instructions.
+  function setupAuth() {
+    if (!config.cookie && config.cookieFile && fs.existsSync(config.cookieFile)) {
+      config.cookie = fs.readFileSync(config.cookieFile, 'utf-8').trim() || undefined;
+    }
+    const method = resolveAuthMethod();
+    if (!method) {
+      throw new Error([
+        'Authentication is required. Set one of:',
+        '  COOKIE                    AEM session cookie copied from the browser (or COOKIE_FILE)',
+        '  AEM_USER + AEM_PASSWORD   Basic auth (local SDK and author instances)',
+        '  ACCESS_TOKEN              Bearer token',
+        '  SERVICE_CREDENTIALS       Service credential JSON file (token fetched and refreshed automatically)',
+        '',
+        'Example:',
+        '  COOKIE="your-cookie-here" node aem.js'
+      ].join('\n'));
+    }
+
+    if (method === 'cookie' && !config.cookie) throw new Error('--auth cookie needs COOKIE');
+    if (method === 'basic' && (!config.username || !config.password)) {
+      throw new Error('--auth basic needs AEM_USER and AEM_PASSWORD');
+    }
+    if (method === 'bearer' && !config.bearerToken) throw new Error('--auth bearer needs ACCESS_TOKEN');
+    if (method === 'service') {
+      if (!config.serviceCredentials) throw new Error('--auth service needs SERVICE_CREDENTIALS');
+      auth.credentials = loadServiceCredentials(config.serviceCredentials);
+    }
+
+    config.authMethod = method;
+    return method;
+  }
+
+  // Accepts the Developer Console download ({ integration: { technicalAccount, privateKey, ... } })
+  // or a flat { clientId, clientSecret, privateKey?, orgId?, technicalAccountId?, scopes? } file.
+  // With a privateKey the JWT exchange is used, without one the OAuth client_credentials grant.
+  function loadServiceCredentials(filePath) {
+    let raw;
+    try {
+      raw = JSON.parse(fs.readFileSync(path.resolve(filePath), 'utf-8'));
+    } catch (error) {
+      throw new Error(`Cannot read service credentials ${filePath}: ${error.message}`);
+    }
+
+    const source = raw.integration || raw;
+    const account = source.technicalAccount || {};
+    const metascopes = source.metascopes || [];
+    const credentials = {
+      clientId: account.clientId || source.clientId || source.client_id,
+      clientSecret: account.clientSecret || source.clientSecret || source.client_secret,
+      privateKey: source.privateKey || source.private_key || null,
+      orgId: source.org || source.orgId || null,
+      technicalAccountId: source.id || source.technicalAccountId || null,
+      metascopes: Array.isArray(metascopes) ? metascopes : String(metascopes).split(',').filter(Boolean),
+      scopes: Array.isArray(source.scopes) ? source.scopes.join(',') : (source.scopes || source.scope || null),
+      imsHost: String(source.imsEndpoint || DEFAULT_IMS_HOST).replace(/^https?:\/\//, '').replace(/\/+$/, '')
+    };
+
+    if (!credentials.clientId || !credentials.clientSecret) {
+      throw new Error(`Service credentials ${filePath} have no client ID and secret`);
+    }
+    if (credentials.privateKey && (!credentials.orgId || !credentials.technicalAccountId)) {
+      throw new Error(`Service credentials ${filePath} have a private key but no org and technical account ID`);
+    }
+    return credentials;
+  }
+
+  function getTokenEndpoint(credentials) {
+    if (config.tokenEndpoint) return config.tokenEndpoint;
+    const grantPath = credentials.privateKey ? '/ims/exchange/jwt' : '/ims/token/v3';
+    return `https://${credentials.imsHost}${grantPath}`;
+  }
+
+  const base64Url = (input) => Buffer.from(input).toString('base64')
+    .replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+
+  // Short-lived RS256 assertion the token endpoint trades for an access token
+  function createServiceJwt(credentials) {
+    const imsUrl = `https://${credentials.imsHost}`;
+    const claims = {
+      exp: Math.floor(Date.now() / 1000) + 5 * 60,
+      iss: credentials.orgId,
+      sub: credentials.technicalAccountId,
+      aud: `${imsUrl}/c/${credentials.clientId}`
+    };
+    const metascopes = credentials.metascopes.length > 0 ? credentials.metascopes : DEFAULT_METASCOPES;
+    metascopes.forEach(scope => {
+      claims[/^https?:/.test(scope) ? scope : `${imsUrl}/s/${scope}`] = true;
+    });
+
+    const unsigned = `${base64Url(JSON.stringify({ alg: 'RS256', typ: 'JWT' }))}.${base64Url(JSON.stringify(claims))}`;
+    const signature = crypto.createSign('RSA-SHA256').update(unsigned).sign(credentials.privateKey);
+    return `${unsigned}.${base64Url(signature)}`;
+  }
+
+  // Token lifetime in ms: the access token's own exp claim if it is a JWT, else expires_in.
+  // The IMS JWT exchange reports expires_in in milliseconds, OAuth token endpoints in seconds.
+  function getTokenLifetime(response, jwtExchange) {
+    const payload = decodeJwtPayload(response.access_token);
+    if (payload && payload.exp) return payload.exp * 1000 - Date.now();
+
+    const expiresIn = Number(response.expires_in);
+    if (!expiresIn) return 60 * 60 * 1000;
+    return jwtExchange ? expiresIn : expiresIn * 1000;
+  }
+
+  async function requestServiceToken() {
+    const credentials = auth.credentials;
+    const endpoint = getTokenEndpoint(credentials);
+    const form = new URLSearchParams({
+      client_id: credentials.clientId,
+      client_secret: credentials.clientSecret
+    });
+    if (credentials.privateKey) {
+      form.set('jwt_token', createServiceJwt(credentials));
+    } else {
+      form.set('grant_type', 'client_credentials');
+      if (credentials.scopes) form.set('scope', credentials.scopes);
+    }
+
+    const body = form.toString();
+    let response;
+    try {
+      response = await makeRequestWithRetry(endpoint, {
+        method: 'POST',
+        auth: false,
+        body,
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded',
+          'Content-Length': Buffer.byteLength(body)
+        }
+      });
+    } catch (error) {
+      error.message = `Service token request to ${endpoint} failed: ${error.message}`;
+      throw error;
+    }
+    if (!response || !response.access_token) {
+      throw new Error(`Service token endpoint ${endpoint} returned no access_token`);
+    }
+
+    const lifetime = getTokenLifetime(response, Boolean(credentials.privateKey));
+    auth.accessToken = response.access_token;
+    auth.issuedAt = Date.now();
+    auth.expiresAt = auth.issuedAt + lifetime;
+    auth.refreshAt = auth.issuedAt + Math.max(lifetime - TOKEN_REFRESH_MARGIN, lifetime / 2);
+    if (auth.refreshes > 0) {
+      logger.log(`Service token refreshed (valid until ${new Date(auth.expiresAt).toLocaleTimeString()})`);
+    }
+    auth.refreshes++;
+  }
+
+  async function getServiceToken() {
+    if (auth.accessToken && Date.now() < auth.refreshAt) return auth.accessToken;
+    if (!auth.refreshing) {
+      auth.refreshing = requestServiceToken().finally(() => { auth.refreshing = null; });
+    }
+    await auth.refreshing;
+    return auth.accessToken;
+  }
+
+  // Called on a 401: drops a service token that was issued before the failed request started.
+  // Returns true when a retry with a fresh token is worth it.
+  function expireServiceToken(requestStartedAt) {
+    if (config.authMethod !== 'service') return false;
+    if (auth.issuedAt <= requestStartedAt) auth.refreshAt = 0;
+    return true;
+  }
+
+  async function getAuthHeaders() {
+    switch (config.authMethod) {
+      case 'basic':
+        return { 'Authorization': `Basic ${Buffer.from(`${config.username}:${config.password}`).toString('base64')}` };
+      case 'bearer':
+        return { 'Authorization': `Bearer ${config.bearerToken}` };
+      case 'service':
+        return { 'Authorization': `Bearer ${await getServiceToken()}` };
+      case 'cookie':
+        return config.cookie ? { 'Cookie': config.cookie } : {};
+      default:
+        return {};
+    }
+  }
+
+  // JSON payload of a JWT, or null if the string is not one
+  function decodeJwtPayload(jwt) {
+    const parts = String(jwt || '').split('.');
+    if (parts.length !== 3) return null;
+    try {
+      const b64 = parts[1].replace(/-/g, '+').replace(/_/g, '/');
+      const padded = b64 + '='.repeat((4 - b64.length % 4) % 4);
+      return JSON.parse(Buffer.from(padded, 'base64').toString('utf-8'));
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // Report a JWT's expiry: { ok, expDate, remainingSec, subject } or { ok: null, reason }
+  function inspectJwtExpiry(jwt, label) {
+    if (String(jwt || '').split('.').length !== 3) return { ok: null, reason: `${label} is not a JWT` };
+
+    const payload = decodeJwtPayload(jwt);
+    if (!payload) return { ok: null, reason: 'JWT payload could not be decoded' };
+    if (!payload.exp) return { ok: null, reason: 'JWT has no exp claim' };
+
+    const nowSec = Math.floor(Date.now() / 1000);
+    const remainingSec = payload.exp - nowSec;
+    return {
+      ok: remainingSec > 0,
+      expDate: new Date(payload.exp * 1000),
+      remainingSec,
+      subject: payload.sub || null
+    };
+  }
+
+  // Decode the AEM login-token JWT from the cookie string and report its expiry.
+  // Returns { ok, expDate, remainingSec, reason } or { ok: null, reason } if it
+  // couldn't decode. Pure: no side effects, caller decides what to log/exit.
+  function inspectCookieExpiry(cookieStr) {
+    if (!cookieStr) return { ok: null, reason: 'no cookie set' };
+
+    const match = cookieStr.match(/login-token=([^;]+)/);
+    if (!match) return { ok: null, reason: 'login-token not found in COOKIE' };
+
+    let tokenValue;
+    try { tokenValue = decodeURIComponent(match[1]); }
+    catch (e) { return { ok: null, reason: 'login-token URL-decoding failed' }; }
+
+    // Token format: "login:<jwt>:crx.default"
+    const jwtMatch = tokenValue.match(/^login:([^:]+)/);
+    return inspectJwtExpiry(jwtMatch ? jwtMatch[1] : tokenValue, 'login-token');
+  }
+
+  // Lifetime of whichever credential is in use, in the inspectCookieExpiry shape.
+  // Service tokens add refreshable: true since they are renewed before they run out.
+  function inspectCredentialExpiry() {
+    switch (config.authMethod) {
+      case 'cookie':
+        return inspectCookieExpiry(config.cookie);
+      case 'bearer':
+        return inspectJwtExpiry(config.bearerToken, 'ACCESS_TOKEN');
+      case 'service': {
+        if (!auth.accessToken) return { ok: null, reason: 'no service token fetched yet' };
+        const remainingSec = Math.floor((auth.expiresAt - Date.now()) / 1000);
+        return { ok: remainingSec > 0, expDate: new Date(auth.expiresAt), remainingSec, refreshable: true };
+      }
+      case 'basic':
+        return { ok: null, reason: 'credentials do not expire' };
+      default:
+        return { ok: null, reason: 'no credentials set' };
+    }
+  }
+
+  // Run at startup. Fetches the first service token, and throws if the credential
+  // is already expired or no token could be obtained.
+  async function checkCredentialExpiry() {
+    const label = CREDENTIAL_LABELS[config.authMethod] || 'Credential';
+
+    if (config.authMethod === 'service') {
+      try {
+        await getServiceToken();
+      } catch (error) {
+        throw new RequestError(classifyError(error), `${error.message}\n   Check SERVICE_CREDENTIALS and TOKEN_ENDPOINT, then re-run.`, { status: error.status });
+      }
+    }
+
+    const info = inspectCredentialExpiry();
+
+    if (info.ok === null) {
+      logger.log(`${label} expiry check skipped: ${info.reason}`);
+      return;
+    }
+
+    const mins = Math.floor(Math.abs(info.remainingSec) / 60);
+    const hrs = Math.floor(mins / 60);
+    const remainingStr = `${hrs}h ${mins % 60}m`;
+
+    if (!info.ok) {
+      throw new RequestError(ERROR_TYPES.UNAUTHORIZED, [
+        `${config.authMethod === 'cookie' ? 'login-token cookie' : label.toLowerCase()} has expired.`,
+        `   Expired at: ${info.expDate.toString()}`,
+        `   Expired ${remainingStr} ago.`,
+        config.authMethod === 'bearer'
+          ? '   Generate a new access token and update ACCESS_TOKEN in .env, then re-run.'
+          : '   Refresh your cookie from the browser and update .env, then re-run.'
+      ].join('\n'));
+    }
+
+    if (info.refreshable) {
+      logger.log(`${label} valid for ${remainingStr} (refreshed automatically before it expires)`);
+    } else if (info.remainingSec < 30 * 60) {
+      logger.log(`Warning: ${label.toLowerCase()} expires in ${remainingStr} (at ${info.expDate.toLocaleTimeString()}). Refresh soon.`);
+    } else {
+      logger.log(`${label} valid for ${remainingStr} (until ${info.expDate.toLocaleString()})`);
+    }
+  }
+
+  // ============================================
+  // MID-RUN CREDENTIAL RENEWAL
+  // ============================================
+
+  // Set once the run is under way; a 401 at startup is a setup error, not an expired session
+  const session = {
+    active: false,
+    renewing: null, // Pending renewal; makeRequest waits on it, so the whole queue pauses
+    renewedAt: 0,
+    renewals: 0
+  };
+
+  const LOGIN_PAGE_MARKERS = /j_security_check|\/libs\/granite\/core\/content\/login|name=["']?j_username/i;
+
+  const isLoginPage = (html) => LOGIN_PAGE_MARKERS.test(html);
+
+  // Service tokens renew themselves; the other methods need a person (or a file) to supply a new secret
+  function canRenewCredentials() {
+    return session.active && ['cookie', 'basic', 'bearer'].includes(config.authMethod);
+  }
+
+  // The secret a renewal replaces, keyed so a candidate can be compared with what was rejected
+  function getCurrentCredential() {
+    if (config.authMethod === 'basic') return { username: config.username, password: config.password };
+    if (config.authMethod === 'bearer') return { bearerToken: config.bearerToken };
+    return { cookie: config.cookie };
+  }
+
+  function applyCredential(credential) {
+    Object.assign(config, credential);
+  }
+
+  // Newest credential from .env or the cookie file, or null if neither has one
+  function readCredentialSources(envPath) {
+    if (config.authMethod === 'cookie' && config.cookieFile && fs.existsSync(config.cookieFile)) {
+      const cookie = fs.readFileSync(config.cookieFile, 'utf-8').trim();
+      if (cookie && cookie !== config.cookie) return { cookie };
+    }
+
+    if (!envPath || !fs.existsSync(envPath)) return null;
+    let env;
+    try {
+      env = readEnvFile(envPath);
+    } catch (e) {
+      return null;
+    }
+    if (config.authMethod === 'basic' && env.AEM_PASSWORD) {
+      return { username: env.AEM_USER || config.username, password: env.AEM_PASSWORD };
+    }
+    if (config.authMethod === 'bearer' && env.ACCESS_TOKEN) return { bearerToken: env.ACCESS_TOKEN };
+    if (config.authMethod === 'cookie' && env.COOKIE) return { cookie: env.COOKIE };
+    return null;
+  }
+
+  // One line from the terminal per attempt; resolves with the pasted secret
+  function startCredentialPrompt(onAnswer) {
+    const { authMethod, username } = config;
+    const question = {
+      cookie: 'Paste a fresh cookie',
+      basic: `New password for ${username}`,
+      bearer: 'Paste a fresh access token'
+    }[authMethod];
+
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    rl.setPrompt(`${question} (or update .env): `);
+    rl.on('line', line => {
+      const answer = line.trim();
+      if (!answer) return rl.prompt();
+      onAnswer(authMethod === 'basic' ? { username, password: answer }
+        : authMethod === 'bearer' ? { bearerToken: answer } : { cookie: answer });
+    });
+    // readline swallows Ctrl+C; hand it to the normal interrupt handler
+    rl.on('SIGINT', () => process.emit('SIGINT'));
+    rl.prompt();
+    return rl;
+  }
+
+  // true if AEM accepts the current credential; network trouble counts as accepted
+  // so the normal retry logic deals with it
+  async function verifyCredentials() {
+    try {
+      await makeRequest(`${config.baseUrl}/content/dam.json`, { renewalCheck: true });
+      return true;
+    } catch (error) {
+      return error.type !== ERROR_TYPES.UNAUTHORIZED;
+    }
+  }
+
+  async function waitForFreshCredentials() {
+    const label = CREDENTIAL_LABELS[config.authMethod];
+    const envPath = envFile;
+    const hasEnvFile = Boolean(envPath && fs.existsSync(envPath));
+    const prompting = interactive && Boolean(process.stdin.isTTY && process.stdout.isTTY);
+    const listening = downloader.listenerCount('credentialsExpired') > 0;
+    const rejected = new Set([JSON.stringify(getCurrentCredential())]);
+
+    logger.log(`\n${label} rejected by AEM (session expired?). Downloads paused.`);
+    if (!prompting && !listening && !config.cookieFile && !hasEnvFile) {
+      logger.error('   No .env, cookie file or terminal to read fresh credentials from.');
+      throw stopRun(new RequestError(ERROR_TYPES.UNAUTHORIZED, `${label} expired and there is no .env, cookie file or terminal to read a fresh one from`));
+    }
+    logger.log(`   Waiting up to ${formatDuration(config.credentialTimeout * 1000)} for fresh credentials:`);
+    if (config.authMethod === 'cookie' && config.cookieFile) logger.log(`   - write the new cookie to ${config.cookieFile}`);
+    if (hasEnvFile) logger.log(`   - update ${envPath}`);
+    if (prompting) logger.log('   - or paste it below');
+    emitEvent('credentialsExpired', { authMethod: config.authMethod, timeout: config.credentialTimeout });
+
+    let pasted = null;
+    const rl = prompting ? startCredentialPrompt(credential => { pasted = credential; }) : null;
+    const deadline = Date.now() + config.credentialTimeout * 1000;
+
+    try {
+      while (Date.now() < deadline) {
+        const candidate = pasted || suppliedCredential || readCredentialSources(envPath);
+        pasted = null;
+        suppliedCredential = null;
+
+        if (candidate && !rejected.has(JSON.stringify(candidate))) {
+          rejected.add(JSON.stringify(candidate));
+          const previous = getCurrentCredential();
+          applyCredential(candidate);
+          if (await verifyCredentials()) {
+            session.renewedAt = Date.now();
+            session.renewals++;
+            logger.log(`\n${label} accepted. Resuming downloads.`);
+            await checkCredentialExpiry();
+            return;
+          }
+          applyCredential(previous);
+          logger.log(`\nThat ${label.toLowerCase()} was rejected too. Still waiting...`);
+          if (rl) rl.prompt();
+        }
+        await sleep(1000);
+      }
+    } finally {
+      if (rl) rl.close();
+    }
+
+    logger.error(`\nNo fresh credentials within ${formatDuration(config.credentialTimeout * 1000)}. Stopping.`);
+    throw stopRun(new RequestError(ERROR_TYPES.UNAUTHORIZED, `No fresh credentials within ${formatDuration(config.credentialTimeout * 1000)}`));
+  }
+
+  // Shared by every request that hit the expired session. A request that started before
+  // the last renewal just retries with the new credential.
+  async function renewCredentials(requestStartedAt) {
+    if (session.renewedAt > requestStartedAt) return;
+    if (!session.renewing) {
+      session.renewing = waitForFreshCredentials().finally(() => { session.renewing = null; });
+    }
+    await session.renewing;
+  }
+
+  // ============================================
+  // QUERYBUILDER PAGING
+  // ============================================
+
+  /**
+   * Page through a QueryBuilder query with p.offset/p.limit.
+   * `params` is a list of [name, value] pairs (order matters for numbered predicates).
+   * Yields { hits, offset, total, more } per page until a short or empty page.
+   */
+  async function* queryBuilderPages(params, { startOffset = 0, pageSize = config.queryPageSize } = {}) {
+    for (let offset = startOffset; ; offset += pageSize) {
+      const qs = [...params, ['p.offset', offset], ['p.limit', pageSize]]
+        .map(([name, value]) => `${encodeURIComponent(name)}=${encodeURIComponent(value)}`)
+        .join('&');
+
+      const response = await makeRequestWithRetry(`${config.baseUrl}/bin/querybuilder.json?${qs}`);
+      if (!response || typeof response !== 'object' || !Array.isArray(response.hits)) {
+        throw new Error('QueryBuilder returned an unexpected response (check cookie/permissions)');
+      }
+
+      yield { hits: response.hits, offset, total: response.total, more: response.more };
+
+      if (response.hits.length < pageSize || response.more === false) return;
+    }
+  }
+
+  // ============================================
+  // PROPERTY PREDICATES (--where)
+  // ============================================
+
+  // Short field names for common asset properties, relative to the dam:Asset node.
+  // Any other name is read as a metadata property (dam:status -> jcr:content/metadata/dam:status);
+  // names containing '/' are used as relative property paths unchanged.
+  const WHERE_FIELDS = {
+    mime: { property: 'jcr:content/metadata/dc:format' },
+    format: { property: 'jcr:content/metadata/dc:format' },
+    tag: { tag: true },
+    tags: { tag: true },
+    status: { property: 'jcr:content/metadata/dam:status' },
+    title: { property: 'jcr:content/metadata/dc:title' },
+    size: { property: 'jcr:content/metadata/dam:size', numeric: true },
+    modified: { property: 'jcr:content/jcr:lastModified', date: true },
+    created: { property: 'jcr:created', date: true }
+  };
+
+  const TAG_PROPERTY = 'jcr:content/metadata/cq:tags';
+
+  const resolveWhereField = (field) => {
+    const alias = WHERE_FIELDS[field.toLowerCase()];
+    if (alias) return alias;
+    return { property: field.includes('/') ? field : `jcr:content/metadata/${field}` };
+  };
+
+  /**
+   * Parse one --where expression into a predicate node:
+   *   field=value     equals (comma-separated values match any; * is a wildcard;
+   *                   "a, b" or a\, b keeps a comma in the value)
+   *   field!=value    not equal
+   *   field~text      contains (or a * pattern)
+   *   field>value     also >=, <, <= for dates and numbers
+   *   field           property exists
+   *   a || b          either condition; title="a || b" keeps || in the value
+   */
+  function parseWhereCondition(text) {
+    const alternatives = splitUnquoted(String(text), '||', false);
+    if (alternatives.length === 0) {
+      throw new Error('Empty --where condition');
+    }
+    if (alternatives.length > 1) {
+      return { or: true, children: alternatives.map(parseWhereCondition) };
+    }
+
+    const match = alternatives[0].match(/^([^=!<>~\s]+)\s*(>=|<=|!=|=|>|<|~)\s*(.+)$/);
+    if (!match) {
+      if (/^[^=!<>~\s]+$/.test(alternatives[0])) {
+        return { field: alternatives[0], op: 'exists' };
+      }
+      throw new Error(`Cannot parse --where condition "${text}" (expected field=value, field>value, ...)`);
+    }
+
+    const [, field, op, value] = match;
+    return expandWhereValues({ field, op, value: value.trim() });
+  }
+
+  /**
+   * Split --where text on `separator` where it is outside double quotes and not escaped.
+   * \, \" and \\ stand for a literal comma, quote and backslash. With `decode`, the parts
+   * come back with quotes and escapes resolved; without, they keep them for a later split.
+   */
+  function splitUnquoted(text, separator, decode) {
+    const parts = [];
+    let current = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (char === '\\' && [',', '"', '\\'].includes(text[i + 1])) {
+        current += decode ? text[i + 1] : char + text[i + 1];
+        i++;
+      } else if (char === '"') {
+        quoted = !quoted;
+        if (!decode) current += char;
+      } else if (!quoted && text.startsWith(separator, i)) {
+        parts.push(current.trim());
+        current = '';
+        i += separator.length - 1;
+      } else {
+        current += char;
+      }
+    }
+
+    if (quoted) {
+      throw new Error(`Unclosed quote in --where value: ${text}`);
+    }
+    parts.push(current.trim());
+    return parts.filter(Boolean);
+  }
+
+  // A value list split on commas: title="Hello, world" and title=Hello\, world are one value
+  const splitWhereValues = (text) => splitUnquoted(text, ',', true);
+
+  // "mime=image/png,image/jpeg" and "tag=a,b" match any of the values
+  function expandWhereValues(node) {
+    if (!['=', '~'].includes(node.op)) return node;
+    const values = splitWhereValues(String(node.value));
+    if (values.length <= 1) return { ...node, value: values.length === 1 ? values[0] : node.value };
+    return { or: true, children: values.map(value => ({ ...node, value })) };
+  }
+
+  /**
+   * Turn a --where-file JSON tree into predicate nodes. Accepted shapes:
+   *   "status=approved"                          (same syntax as --where)
+   *   { "field": "mime", "op": "=", "value": "application/pdf" }
+   *   { "field": "tag", "value": ["a", "b"] }    (any of the values; a string value is never split)
+   *   { "and": [ ... ] } / { "or": [ ... ] }
+   */
+  function normalizeWhereTree(node) {
+    if (typeof node === 'string') return parseWhereCondition(node);
+    if (Array.isArray(node)) return { or: false, children: node.map(normalizeWhereTree) };
+    if (!node || typeof node !== 'object') {
+      throw new Error(`Unsupported predicate: ${JSON.stringify(node)}`);
+    }
+
+    if (Array.isArray(node.and)) return { or: false, children: node.and.map(normalizeWhereTree) };
+    if (Array.isArray(node.or)) return { or: true, children: node.or.map(normalizeWhereTree) };
+
+    if (node.field) {
+      const op = node.op || (node.value === undefined ? 'exists' : '=');
+      if (op === 'exists' || op === 'missing') return { field: node.field, op };
+      if (!Array.isArray(node.value)) return { field: node.field, op, value: String(node.value) };
+      if (!['=', '~'].includes(op)) {
+        throw new Error(`Only "=" and "~" take a list of values: ${JSON.stringify(node)}`);
+      }
+      const children = node.value.map(value => ({ field: node.field, op, value: String(value) }));
+      return children.length === 1 ? children[0] : { or: true, children };
+    }
+
+    throw new Error(`Predicate needs "field", "and" or "or": ${JSON.stringify(node)}`);
+  }
+
+  /**
+   * QueryBuilder parameters for a single condition, without the numeric prefix
+   */
+  function conditionToPredicate(condition) {
+    const { field, op, value } = condition;
+    const target = resolveWhereField(field);
+
+    if (target.tag) {
+      if (op !== '=') throw new Error(`Tags only support "=" (got "${field}${op}")`);
+      return [['tagid', value], ['tagid.property', TAG_PROPERTY]];
+    }
+
+    const property = target.property;
+
+    if (op === 'exists') {
+      return [['property', property], ['property.operation', 'exists']];
+    }
+
+    if (op === 'missing') {
+      return [['property', property], ['property.operation', 'not']];
+    }
+
+    if (op === '=' || op === '!=') {
+      if (op === '=' && value.includes('*')) {
+        return [['property', property], ['property.value', value.replace(/\*/g, '%')], ['property.operation', 'like']];
+      }
+      const predicate = [['property', property], ['property.value', value]];
+      if (op === '!=') predicate.push(['property.operation', 'unequals']);
+      return predicate;
+    }
+
+    if (op === '~') {
+      const pattern = value.includes('*') ? value.replace(/\*/g, '%') : `%${value}%`;
+      return [['property', property], ['property.value', pattern], ['property.operation', 'like']];
+    }
+
+    // Comparisons: daterange for dates, rangeproperty for numbers
+    const bound = op.startsWith('>') ? 'lower' : 'upper';
+    const isNumeric = target.numeric || (!target.date && /^-?\d+(\.\d+)?$/.test(value));
+
+    if (isNumeric) {
+      return [
+        ['rangeproperty.property', property],
+        [`rangeproperty.${bound}Bound`, value],
+        [`rangeproperty.${bound}Operation`, op]
+      ];
+    }
+
+    return [
+      ['daterange.property', property],
+      [`daterange.${bound}Bound`, parseDateValue(value)],
+      [`daterange.${bound}Operation`, op]
+    ];
+  }
+
+  /**
+   * Flatten a predicate tree into numbered QueryBuilder parameters.
+   * The root's children become top-level predicates (ANDed with path/type);
+   * nested nodes become N_group predicates with p.or for OR groups.
+   */
+  function buildWhereParams(tree) {
+    const params = [];
+
+    const emit = (node, prefix) => {
+      if (node.children) {
+        params.push([`${prefix}group.p.or`, node.or ? 'true' : 'false']);
+        node.children.forEach((child, i) => emit(child, `${prefix}group.${i + 1}_`));
+        return;
+      }
+      conditionToPredicate(node).forEach(([name, value]) => params.push([prefix + name, value]));
+    };
+
+    const roots = tree.children && !tree.or ? tree.children : [tree];
+    roots.forEach((node, i) => emit(node, `${i + 1}_`));
+    return params;
+  }
+
+  /**
+   * Build config.wherePredicate from --where expressions and --where-file.
+   * Throws with a readable message on invalid input.
+   */
+  function loadWherePredicate(whereConditions = config.whereConditions, whereFile = config.whereFile) {
+    const children = whereConditions.map(parseWhereCondition);
+
+    if (whereFile) {
+      if (!fs.existsSync(whereFile)) {
+        throw new Error(`Predicate file not found: ${whereFile}`);
+      }
+      let parsed;
+      try {
+        parsed = JSON.parse(fs.readFileSync(whereFile, 'utf8'));
+      } catch (e) {
+        throw new Error(`Predicate file is not valid JSON: ${e.message}`);
+      }
+      children.push(normalizeWhereTree(parsed));
+    }
+
+    if (children.length === 0) return null;
+
+    const tree = { or: false, children };
+    buildWhereParams(tree); // Surface invalid operators/dates now, not mid-search
+    return tree;
+  }
+
+  // Human-readable form of a predicate tree for logs and reports
+  function describeWhere(node) {
+    if (!node) return '';
+    if (node.children) {
+      const inner = node.children.map(describeWhere).join(node.or ? ' OR ' : ' AND ');
+      return node.children.length > 1 ? `(${inner})` : inner;
+    }
+    if (node.op === 'exists' || node.op === 'missing') return `${node.field} ${node.op}`;
+    return `${node.field}${node.op}${node.value}`;
+  }
+
+  // ============================================
+  // DATE WINDOW FILTERS
+  // ============================================
+
+  const hasDateFilters = () => DATE_FILTERS.some(filter => config.dateFilters[filter.key]);
+
+  /**
+   * Local check used by isValidAsset for crawl, query-file and sync runs
+   */
+  function matchesDateWindow(assetInfo) {
+    for (const field of ['modified', 'created']) {
+      const filters = DATE_FILTERS.filter(filter => filter.field === field && config.dateFilters[filter.key]);
+      if (filters.length === 0) continue;
+
+      const time = toTimestamp(assetInfo[field]);
+      if (time === null) {
+        if (config.missingDates === 'exclude') return false;
+        continue;
+      }
+
+      for (const filter of filters) {
+        const bound = Date.parse(config.dateFilters[filter.key]);
+        if (filter.op === '>=' ? time < bound : time >= bound) return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * The date window as --where predicate nodes, so search modes can push it down
+   * as QueryBuilder daterange predicates. With missingDates 'include', each field
+   * also accepts assets that do not have the property at all.
+   */
+  function getDateWhereNodes() {
+    const nodes = [];
+
+    for (const field of ['modified', 'created']) {
+      const conditions = DATE_FILTERS
+        .filter(filter => filter.field === field && config.dateFilters[filter.key])
+        .map(filter => ({ field, op: filter.op, value: config.dateFilters[filter.key] }));
+      if (conditions.length === 0) continue;
+
+      const window = conditions.length === 1 ? conditions[0] : { or: false, children: conditions };
+      nodes.push(config.missingDates === 'include'
+        ? { or: true, children: [window, { field, op: 'missing' }] }
+        : window);
+    }
+
+    return nodes;
+  }
+
+  const describeDateWindow = () => DATE_FILTERS
+    .filter(filter => config.dateFilters[filter.key])
+    .map(filter => `${filter.field} ${filter.op} ${config.dateFilters[filter.key]}`)
+    .join(', ');
+
+  // ============================================
+  // TAG SELECTION (--tag)
+  // ============================================
+
+  // Tags live under /content/cq:tags; older instances still keep them in /etc/tags
+  const TAG_ROOTS = ['/content/cq:tags', '/etc/tags'];
+
+  /**
+   * Normalize a tag reference to its tag ID (namespace:path). Accepts IDs,
+   * tag paths under either root, and bare names in the default namespace.
+   */
+  function normalizeTagId(value) {
+    const id = String(value).trim();
+    const root = TAG_ROOTS.find(r => id.startsWith(r + '/'));
+    if (root) {
+      const [namespace, ...rest] = id.slice(root.length + 1).split('/');
+      return `${namespace}:${rest.join('/')}`;
+    }
+    return id.includes(':') ? id : `default:${id}`;
+  }
+
+  const getTagPath = (root, tagId) => {
+    const [namespace, ...rest] = tagId.split(':');
+    const localPath = rest.join(':');
+    return `${root}/${namespace}${localPath ? '/' + localPath : ''}`;
+  };
+
+  /**
+   * Look a tag up under each tag root. Throws when it exists in neither.
+   */
+  async function fetchTag(tagId) {
+    for (const root of TAG_ROOTS) {
+      const tagPath = getTagPath(root, tagId);
+      try {
+        const node = await makeRequestWithRetry(`${config.baseUrl}${tagPath}.1.json`);
+        if (node && node['jcr:primaryType'] === 'cq:Tag') return { tagPath, node };
+      } catch (error) {
+        throwIfStopped();
+        if (error.type !== ERROR_TYPES.NOT_FOUND) throw new Error(`Cannot read tag ${tagId}: ${error.message}`);
+      }
+    }
+    throw new Error(`Tag not found: ${tagId} (looked under ${TAG_ROOTS.join(' and ')})`);
+  }
+
+  /**
+   * Walk a tag's subtree one level per request (like the folder crawl) and
+   * return every descendant tag.
+   */
+  async function collectChildTags(tagPath, tagId, node) {
+    const children = [];
+
+    for (const [key, child] of Object.entries(node)) {
+      if (!child || typeof child !== 'object' || child['jcr:primaryType'] !== 'cq:Tag') continue;
+
+      const childId = tagId.endsWith(':') ? `${tagId}${key}` : `${tagId}/${key}`;
+      const childPath = `${tagPath}/${key}`;
+      children.push({ id: childId, title: child['jcr:title'] || key });
+
+      const childNode = await makeRequestWithRetry(`${config.baseUrl}${childPath}.1.json`);
+      children.push(...await collectChildTags(childPath, childId, childNode));
+    }
+
+    return children;
+  }
+
+  /**
+   * Resolve --tag IDs (and optionally their descendants) into config.tagSelection
+   * and AND an "any of these tags" group into the search predicates.
+   */
+  async function resolveTagSelection() {
+    logger.log('\nRESOLVING TAGS');
+    logger.log('='.repeat(60));
+
+    const selection = new Map();
+
+    for (const requested of config.tagIds) {
+      const tagId = normalizeTagId(requested);
+      const { tagPath, node } = await fetchTag(tagId);
+      selection.set(tagId, { id: tagId, title: node['jcr:title'] || tagId, requested: tagId });
+      logger.log(`Tag: ${tagId} (${tagPath})`);
+
+      if (config.includeChildTags) {
+        const children = await collectChildTags(tagPath, tagId, node);
+        children.forEach(child => {
+          if (!selection.has(child.id)) selection.set(child.id, { ...child, requested: tagId });
+        });
+        logger.log(`   + ${children.length} child tag(s)`);
+      }
+    }
+
+    config.tagSelection = Array.from(selection.values());
+    config.tagSelection.forEach(tag => {
+      config.stats.tags[tag.id] = config.stats.tags[tag.id] ||
+        { title: tag.title, found: 0, downloaded: 0, skipped: 0, failed: 0 };
+    });
+
+    const tagGroup = {
+      or: true,
+      children: config.tagSelection.map(tag => ({ field: 'tag', op: '=', value: tag.id }))
+    };
+    config.wherePredicate = {
+      or: false,
+      children: [...(config.wherePredicate ? config.wherePredicate.children : []), tagGroup]
+    };
+
+    logger.log(`Selecting assets tagged with any of ${config.tagSelection.length} tag(s)`);
+    logger.log('='.repeat(60));
+  }
+
+  // Selected tag IDs carried by an asset (asset tags may be IDs or legacy tag paths)
+  function getSelectedTags(assetInfo) {
+    if (!config.tagSelection) return [];
+    const assetTags = [].concat(assetInfo.tags || []).map(normalizeTagId);
+    return config.tagSelection.filter(tag => assetTags.includes(tag.id)).map(tag => tag.id);
+  }
+
+  function countTaggedAssets(assets) {
+    if (!config.tagSelection) return;
+    assets.forEach(asset => {
+      getSelectedTags(asset).forEach(tagId => { config.stats.tags[tagId].found++; });
+    });
+  }
+
+  // outcome: 'downloaded', 'skipped' or false (failed), as returned by downloadAsset
+  function recordTagOutcome(assetInfo, outcome) {
+    if (!config.tagSelection) return;
+    const key = outcome ? outcome : 'failed';
+    getSelectedTags(assetInfo).forEach(tagId => { config.stats.tags[tagId][key]++; });
+  }
+
+  // ============================================
+  // QUERY-BASED ASSET FUNCTIONS
+  // ============================================
+
+  /**
+   * Load asset paths from JSON file
+   */
+  function loadQueryFile(filePath) {
+    try {
+      if (!fs.existsSync(filePath)) {
+        throw new Error(`Query file not found: ${filePath}`);
+      }
+
+      const content = fs.readFileSync(filePath, 'utf8');
+      let assetPaths = [];
+      let baseDAMPath = '/content/dam'; // Default base path
+
+      // Try to parse as JSON
+      try {
+        const parsed = JSON.parse(content);
+
+        // A plan file (see writePlan) is the download list it was written for
+        if (parsed.plan && parsed.plan.createdAt) {
+          config.queryPlan = true;
+          logger.log(`Plan from ${parsed.plan.createdAt}: ${parsed.summary?.assets ?? '?'} assets, ${parsed.summary?.totalSize ?? '?'}`);
+          if (parsed.plan.baseUrl && config.baseUrl && parsed.plan.baseUrl !== config.baseUrl) {
+            logger.log(`Warning: plan was made against ${parsed.plan.baseUrl}`);
+          }
+        }
+
+        // Check for custom base path in the JSON
+        if (parsed.basePath && typeof parsed.basePath === 'string') {
+          baseDAMPath = parsed.basePath;
+          logger.log(`Using custom base path: ${baseDAMPath}`);
+        }
+
+        // Handle different JSON structures
+        if (Array.isArray(parsed)) {
+          assetPaths = parsed;
+        } else if (parsed.assets && Array.isArray(parsed.assets)) {
+          assetPaths = parsed.assets;
+        } else if (parsed.paths && Array.isArray(parsed.paths)) {
+          assetPaths = parsed.paths;
+        } else {
+          // Try to extract array values from object
+          assetPaths = Object.values(parsed).flat().filter(item =>
+            typeof item === 'string' && (item.startsWith('/content/') || item.startsWith('/'))
+          );
+        }
+      } catch (e) {
+        // If not JSON, treat each line as a path
+        assetPaths = content.split('\n')
+          .map(line => line.trim())
+          .filter(line => line && !line.startsWith('#') && (line.startsWith('/content/') || line.startsWith('/')));
+      }
+
+      assetPaths = cleanQueryPaths(assetPaths, baseDAMPath);
+
+      logger.log(`Loaded ${assetPaths.length} asset paths from ${filePath}`);
+
+      if (baseDAMPath !== '/content/dam') {
+        logger.log(`Base DAM path: ${baseDAMPath}`);
+      }
+
+      if (assetPaths.length > 0) {
+        logger.log('Sample paths:');
+        assetPaths.slice(0, 3).forEach(path => {
+          logger.log(`   - ${path}`);
+        });
+        if (assetPaths.length > 3) {
+          logger.log(`   ... and ${assetPaths.length - 3} more`);
+        }
+      }
+
+      return assetPaths;
+    } catch (error) {
+      throw new Error(`Error loading query file: ${error.message}`);
+    }
+  }
+
+  /**
+   * Clean query paths: strip query strings, resolve relative paths against basePath,
+   * extract asset paths from coreimg URLs and drop duplicates
+   */
+  function cleanQueryPaths(assetPaths, baseDAMPath = '/content/dam') {
+    return assetPaths
+      .map(path => {
+        // Clean up the path
+        let cleanPath = path.trim();
+
+        // Remove query parameters and fragments
+        cleanPath = cleanPath.split('?')[0].split('#')[0];
+
+        // Handle relative paths (don't start with /content/)
+        if (!cleanPath.startsWith('/content/')) {
+          if (cleanPath.startsWith('/')) {
+            // Relative path starting with / - append to base DAM path
+            cleanPath = `${baseDAMPath}${cleanPath}`;
+          } else {
+            // Relative path without leading / - append to base DAM path with /
+            cleanPath = `${baseDAMPath}/${cleanPath}`;
+          }
+        }
+
+        // Handle coreimg paths - extract the actual asset path
+        if (cleanPath.includes('.coreimg.')) {
+          const parts = cleanPath.split('.coreimg.');
+          if (parts.length > 1) {
+            // Try to extract the original asset path from the coreimg URL
+            const corePart = parts[1];
+            if (corePart.includes('/')) {
+              const pathParts = corePart.split('/');
+              if (pathParts.length > 1) {
+                // Reconstruct the asset path
+                cleanPath = parts[0]; // Base path
+                // Look for timestamp and filename
+                const filename = pathParts[pathParts.length - 1];
+                if (filename && filename.includes('.')) {
+                  cleanPath = `${parts[0]}/${filename}`;
+                }
+              }
+            }
+          }
+        }
+
+        return cleanPath;
+      })
+      .filter(path => path && path.startsWith('/content/'))
+      .filter((path, index, array) => array.indexOf(path) === index); // Remove duplicates
+  }
+
+  /**
+   * Create asset info from path
+   */
+  function createAssetInfoFromPath(assetPath) {
+    const name = path.basename(assetPath);
+    const extension = path.extname(name).toLowerCase().slice(1) || 'unknown';
+
+    return {
+      path: assetPath,
+      name: name,
+      extension: extension,
+      mimeType: getMimeType(extension),
+      size: 0, // Will be determined during download
+      queryBased: true, // Mark as query-based asset
+      metadata: {},
+      renditions: []
+    };
+  }
+
+  /**
+   * Process query-based assets
+   */
+  async function processQueryAssets(assetPaths) {
+    logger.log('\nPROCESSING QUERY-BASED ASSETS');
+    logger.log('='.repeat(60));
+
+    const assets = [];
+
+    for (const assetPath of assetPaths) {
+      try {
+        let assetInfo = null;
+
+        // Check if this looks like a simple filename (no path structure)
+        const isSimpleFilename = !assetPath.includes('/') ||
+          (assetPath.startsWith('/content/dam/') && assetPath.split('/').length <= 4 &&
+            assetPath.includes('.'));
+
+        if (isSimpleFilename) {
+          logger.log(`Searching for filename: ${path.basename(assetPath)}`);
+
+          // Search for the asset in the DAM
+          const filename = path.basename(assetPath);
+
+          // Reset search state for this search
+          config.processedPaths.clear();
+          config.folderQueue = [];
+
+          const foundAssets = await findAssets(filename.toLowerCase());
+
+          if (foundAssets.length > 0) {
+            logger.log(`Found ${foundAssets.length} matches for: ${filename}`);
+            // Use the first match with the actual DAM path
+            assetInfo = foundAssets[0];
+            logger.log(`Using asset at: ${assetInfo.path}`);
+          } else {
+            logger.log(`No matches found for: ${filename} - trying as direct path`);
+            // Fall back to treating as direct path
+            assetInfo = createAssetInfoFromPath(assetPath);
+          }
+        } else {
+          // Try to get metadata if it's a full path
+          const metadataUrl = `${config.baseUrl}${assetPath}.json`;
+          let assetData = null;
+
+          try {
+            assetData = await makeRequestWithRetry(metadataUrl);
+            logger.log(`Found metadata for: ${path.basename(assetPath)}`);
+          } catch (error) {
+            throwIfStopped();
+            logger.log(`No metadata found for: ${path.basename(assetPath)} - searching DAM`);
+
+            // If direct metadata fetch fails, search for the filename
+            const filename = path.basename(assetPath);
+
+            // Reset search state for this search
+            config.processedPaths.clear();
+            config.folderQueue = [];
+
+            const foundAssets = await findAssets(filename.toLowerCase());
+
+            if (foundAssets.length > 0) {
+              logger.log(`Found ${foundAssets.length} matches for: ${filename}`);
+              assetInfo = foundAssets[0];
+              logger.log(`Using asset at: ${assetInfo.path}`);
+            }
+          }
+
+          if (!assetInfo) {
+            if (assetData && typeof assetData === 'object') {
+              // Extract info from metadata
+              assetInfo = extractAssetInfo(assetData, assetPath);
+            } else {
+              // Create basic info from path
+              assetInfo = createAssetInfoFromPath(assetPath);
+            }
+          }
+        }
+
+        if (assetInfo && isValidAsset(assetInfo)) {
+          assets.push(assetInfo);
+          config.stats.totalAssets++;
+        } else {
+          logger.log(`Skipped invalid asset: ${assetPath}`);
+          config.stats.skippedAssets++;
+        }
+      } catch (error) {
+        throwIfStopped();
+        logger.log(`Error processing ${assetPath}: ${error.message}`);
+        config.stats.errors.push({
+          asset: assetPath,
+          type: classifyError(error),
+          error: error.message
+        });
+      }
+
+      // Small delay to be nice to the server
+      await sleep(config.sleepTime);
+    }
+
+    logger.log(`\nQuery processing complete: ${assets.length} valid assets found`);
+    return assets;
+  }
+
+  /**
+   * The assets of a plan file, exactly as listed: each path's own metadata is read,
+   * with no filename search and none of the run's filters. An entry that cannot be
+   * read is a failed asset; no other asset takes its place.
+   */
+  async function processPlanAssets(assetPaths) {
+    logger.log('\nPROCESSING PLAN ASSETS');
+    logger.log('='.repeat(60));
+
+    const assets = [];
+
+    for (const assetPath of assetPaths) {
+      config.stats.totalAssets++;
+      try {
+        const metadataUrl = `${config.baseUrl}${assetPath}.json`;
+        const assetInfo = extractAssetInfo(await makeRequestWithRetry(metadataUrl), assetPath);
+        if (!assetInfo) {
+          throw new RequestError(ERROR_TYPES.INVALID_CONTENT, 'Unreadable asset metadata', { url: metadataUrl });
+        }
+        assets.push(assetInfo);
+      } catch (error) {
+        throwIfStopped();
+        logger.log(`Failed: ${assetPath} - ${error.message}`);
+        emitEvent('failed', createAssetInfoFromPath(assetPath), error);
+        config.stats.failedAssets++;
+        config.stats.errors.push({
+          asset: assetPath,
+          type: classifyError(error),
+          status: error.status,
+          error: error.message
+        });
+      }
+
+      await sleep(config.sleepTime);
+    }
+
+    logger.log(`\nPlan processing complete: ${assets.length} of ${assetPaths.length} assets found`);
+    return assets;
+  }
+
+  /**
+   * Assets handed to download(): asset objects (from discover() or find()) are used
+   * as they are, paths are looked up like the entries of a query file. Either way
+   * the assetDiscovered plugins get the final say.
+   */
+  async function resolveQueryAssets(items) {
+    const known = items.filter(item => item && typeof item === 'object' && item.path);
+    config.stats.totalAssets += known.length;
+
+    const assetPaths = cleanQueryPaths(items.filter(item => typeof item === 'string'));
+    const processPaths = config.queryPlan ? processPlanAssets : processQueryAssets;
+    const assets = assetPaths.length > 0 ? [...known, ...await processPaths(assetPaths)] : known;
+    const accepted = await acceptDiscoveredAssets(assets);
+    config.stats.totalAssets -= assets.length - accepted.length;
+    return accepted;
+  }
+
+  // ============================================
+  // FIND/SEARCH FUNCTIONALITY
+  // ============================================
+
+  // Metadata fields checked, in order, to report which one a full-text hit matched
+  const FULLTEXT_FIELDS = [
+    ['name', asset => asset.name],
+    ['title', asset => asset.title],
+    ['description', asset => asset.description],
+    ['keywords', asset => asset.keywords],
+    ['tags', asset => asset.tags]
+  ];
+
+  const stripExcerptMarkup = (excerpt) => String(excerpt).replace(/<[^>]*>/g, '').replace(/\s+/g, ' ').trim();
+
+  /**
+   * Name the metadata field that contains any of the search terms. Hits that
+   * match none of them were found through extracted text (e.g. a PDF body).
+   */
+  function getMatchedField(assetInfo, text) {
+    const terms = text.toLowerCase().split(/\s+/)
+      .map(term => term.replace(/^[-+"]+|["*]+$/g, ''))
+      .filter(term => term && term !== 'or');
+
+    for (const [field, read] of FULLTEXT_FIELDS) {
+      const value = read(assetInfo);
+      if (value === undefined || value === null) continue;
+      const haystack = (Array.isArray(value) ? value.join(' ') : String(value)).toLowerCase();
+      if (terms.some(term => haystack.includes(term))) return field;
+    }
+    return 'content';
+  }
+
+  /**
+   * Find assets matching a pattern in the DAM
+   */
+  async function findAssets(pattern) {
+    logger.log('\nSEARCHING FOR ASSETS (QueryBuilder)');
+    logger.log('='.repeat(60));
+
+    const params = [
+      ['path', config.startPath],
+      ['type', 'dam:Asset']
+    ];
+
+    // No pattern means a --where-only search
+    if (pattern) {
+      logger.log(`Search pattern: "${pattern}"`);
+      // Substring semantics: wrap in wildcards unless the caller already used them.
+      const nodename = pattern.includes('*') ? pattern : `*${pattern}*`;
+      params.push(['nodename', nodename]);
+    }
+
+    if (config.fulltextQuery) {
+      logger.log(`Full-text: "${config.fulltextQuery}"`);
+      params.push(['fulltext', config.fulltextQuery]);
+    }
+
+    // Date filters become daterange predicates next to the --where conditions
+    const dateNodes = getDateWhereNodes();
+    const predicate = dateNodes.length > 0
+      ? { or: false, children: [...(config.wherePredicate ? config.wherePredicate.children : []), ...dateNodes] }
+      : config.wherePredicate;
+
+    if (config.wherePredicate) {
+      logger.log(`Where: ${describeWhere(config.wherePredicate)}`);
+    }
+    if (dateNodes.length > 0) {
+      logger.log(`Date window: ${describeDateWindow()}${config.missingDates === 'include' ? ' (undated assets included)' : ''}`);
+    }
+    if (predicate) {
+      params.push(...buildWhereParams(predicate));
+    }
+
+    // Full-text results come back best match first; everything else in stable path order
+    if (config.fulltextQuery) {
+      params.push(['orderby', '@jcr:score'], ['orderby.sort', 'desc'], ['p.excerpt', 'true']);
+    } else {
+      params.push(['orderby', 'path']);
+    }
+    params.push(['p.hits', 'full']);
+
+    const criteria = [];
+    if (pattern) criteria.push('nodename');
+    if (config.fulltextQuery) criteria.push('full-text');
+    const matchReason = criteria.length > 0
+      ? `QueryBuilder ${criteria.join(' + ')} match${predicate ? ' + predicates' : ''}`
+      : 'QueryBuilder predicate match';
+
+    if (config.startPath !== '/content/dam') {
+      logger.log(`Search root: ${config.startPath}`);
+    }
+    if (config.maxResults > 0) {
+      logger.log(`Result cap: ${config.maxResults}`);
+    }
+
+    const foundAssets = [];
+    const seen = new Set();
+    let hitCount = 0;
+
+    try {
+      for await (const page of queryBuilderPages(params)) {
+        hitCount += page.hits.length;
+        logger.log(`QueryBuilder: ${hitCount}${page.total != null ? ` of ${page.total}` : ''} hit(s) retrieved`);
+
+        for (const [index, hit] of page.hits.entries()) {
+          const itemPath = hit['jcr:path'];
+          if (!itemPath || seen.has(itemPath)) continue;
+          seen.add(itemPath);
+
+          // QB hits often omit deep metadata; fetch the asset's own JSON for full info.
+          let assetData = hit;
+          try {
+            const full = await makeRequestWithRetry(`${config.baseUrl}${itemPath}.json`);
+            if (full && typeof full === 'object') assetData = full;
+          } catch (e) {
+            // Fall back to QB hit
+          }
+
+          const assetInfo = extractAssetInfo(assetData, itemPath);
+          // tagid may also match tags outside the selection (e.g. children that were not asked for)
+          const tagMatch = !config.tagSelection || (assetInfo && getSelectedTags(assetInfo).length > 0);
+          if (assetInfo && isValidAsset(assetInfo) && tagMatch) {
+            assetInfo.matchReason = matchReason;
+            if (config.fulltextQuery) {
+              // Rank is the QueryBuilder position, so it survives local filtering
+              assetInfo.rank = page.offset + index + 1;
+              assetInfo.score = hit['jcr:score'] !== undefined ? Number(hit['jcr:score']) : undefined;
+              const excerpt = hit.excerpt || hit['rep:excerpt()'];
+              assetInfo.excerpt = excerpt ? stripExcerptMarkup(excerpt) : undefined;
+              assetInfo.matchedField = getMatchedField(assetInfo, config.fulltextQuery);
+            }
+            foundAssets.push(assetInfo);
+            logger.log(`Found: ${assetInfo.rank ? `#${assetInfo.rank} ` : ''}${assetInfo.path}`);
+            logger.log(`   Size: ${assetInfo.size ? formatBytes(assetInfo.size) : 'Unknown'}`);
+            if (assetInfo.matchedField) {
+              logger.log(`   Matched: ${assetInfo.matchedField}${assetInfo.excerpt ? ` - "${assetInfo.excerpt}"` : ''}`);
+            }
+          }
+
+          if (config.maxResults > 0 && foundAssets.length >= config.maxResults) break;
+        }
+
+        if (config.maxResults > 0 && foundAssets.length >= config.maxResults) {
+          const remaining = page.total != null ? ` (${page.total} hits reported in total)` : '';
+          logger.log(`Reached --max-results ${config.maxResults}; stopping${remaining}`);
+          break;
+        }
+      }
+    } catch (e) {
+      throwIfStopped();
+      logger.error(`QueryBuilder request failed: ${e.message}`);
+      if (foundAssets.length === 0) return [];
+      logger.error(`Keeping the ${foundAssets.length} result(s) retrieved before the failure`);
+    }
+
+    logger.log('='.repeat(60));
+    logger.log(`SEARCH COMPLETE: Found ${foundAssets.length} matching assets`);
+    logger.log('='.repeat(60) + '\n');
+
+    if (foundAssets.length === 0) {
+      // Advice for each criterion the search used; the name tips only apply to a nodename match
+      logger.log('Search tips:');
+      if (config.fulltextQuery) {
+        logger.log('- Try fewer or more general words (all words must match)');
+        logger.log('- Use OR between words to match any of them, e.g. "summer OR winter"');
+      }
+      if (pattern) {
+        logger.log('- Try a shorter pattern (matching is against the node name only)');
+        logger.log('- Use "*" wildcards explicitly if needed, e.g. "*radio*"');
+      }
+      if (config.whereConditions.length > 0 || config.whereFile) {
+        logger.log('- Check the property names and values ("=" needs the exact value)');
+        logger.log('- Use "*" in a value or "~" for a partial match, e.g. title~summer');
+      }
+      if (config.tagSelection) {
+        logger.log('- Check the tag IDs, or add --include-child-tags to select their descendants too');
+      }
+      if (dateNodes.length > 0) {
+        logger.log('- Widen the date window or use --missing-dates include for undated assets');
+      }
+      logger.log(`- Verify the asset exists under ${config.startPath}${config.fulltextQuery ? ' and has been indexed' : ''}`);
+    }
+
+    return foundAssets;
+  }
+
+  /**
+   * Find assets from a single string containing patterns or filenames
+   */
+  async function findFromString(searchString) {
+    logger.log('\nSEARCHING FROM STRING');
+    logger.log('='.repeat(60));
+    logger.log(`Search string: "${searchString}"`);
+
+    // Parse the string - could be comma-separated patterns or a single filename
+    let patterns = [];
+
+    // Check if it looks like a filename (has extension)
+    if (searchString.includes('.') && !searchString.includes(',')) {
+      patterns = [searchString.trim()];
+    } else {
+      // Split by comma and clean up
+      patterns = searchString.split(',').map(p => p.trim()).filter(p => p);
+    }
+
+    logger.log(`Parsed into patterns: ${patterns.map(p => `"${p}"`).join(', ')}`);
+
+    if (patterns.length === 1) {
+      // Use single pattern search for one pattern
+      return await findAssets(patterns[0]);
+    } else if (patterns.length > 1) {
+      // Use multiple pattern search for multiple patterns
+      return await findMultipleAssets(patterns);
+    } else {
+      logger.log('No valid patterns found in string');
+      return [];
+    }
+  }
+  async function findMultipleAssets(patterns) {
+    logger.log('\nSEARCHING FOR MULTIPLE PATTERNS (QueryBuilder)');
+    logger.log('='.repeat(60));
+    logger.log(`Search patterns: ${patterns.map(p => `"${p}"`).join(', ')}`);
+
+    const foundAssets = [];
+    const searchResults = new Map();
+
+    // One QueryBuilder request per pattern, so each hit retains its matchedPattern attribution.
+    for (const pattern of patterns) {
+      const matches = await findAssets(pattern);
+      for (const match of matches) {
+        match.matchedPattern = pattern;
+        if (!searchResults.has(match.path)) {
+          searchResults.set(match.path, match);
+          foundAssets.push(match);
+        }
+      }
+    }
+
+    logger.log('='.repeat(60));
+    logger.log(`MULTI-PATTERN SEARCH COMPLETE: Found ${foundAssets.length} unique assets`);
+    logger.log('='.repeat(60) + '\n');
+
+    if (foundAssets.length === 0) {
+      logger.log('Search tips:');
+      logger.log('- Try shorter patterns');
+      logger.log('- Use "*" wildcards explicitly if needed, e.g. "*radio*"');
+      logger.log('- Verify the assets exist under /content/dam');
+    } else {
+      logger.log('Results by pattern:');
+      patterns.forEach(pattern => {
+        const matches = foundAssets.filter(asset =>
+          asset.matchedPattern && asset.matchedPattern.toLowerCase() === pattern.toLowerCase()
+        );
+        logger.log(`   "${pattern}": ${matches.length} matches`);
+      });
+    }
+
+    return foundAssets;
+  }
+
+  /**
+   * Search for pattern matches in a specific folder
+   */
+  async function searchInFolder(folderPath, pattern) {
+    config.stats.foldersScanned++;
+
+    const jsonDepths = config.smartDepthDetection
+      ? ['.1.json', '.json', '.2.json', '.3.json', '.4.json', '.5.json']
+      : ['.1.json', '.json'];
+
+    let bestData = null;
+    let maxItems = 0;
+    const errors = [];
+
+    for (const jsonDepth of jsonDepths) {
+      try {
+        const url = `${config.baseUrl}${folderPath}${jsonDepth}`;
+        const data = await makeRequestWithRetry(url);
+
+        if (data && typeof data === 'object') {
+          const itemCount = Object.keys(data).filter(k => !k.startsWith('jcr:') && !k.startsWith(':')).length;
+          if (itemCount > maxItems || (bestData === null && itemCount >= 0)) {
+            maxItems = itemCount;
+            bestData = data;
+            if (itemCount > 50) break;
+          }
+        }
+      } catch (error) {
+        throwIfStopped();
+        errors.push(`${jsonDepth}: ${error.message}`);
+      }
+    }
+
+    if (!bestData) {
+      logger.log(`Warning: could not load ${folderPath} (all depths failed)`);
+      if (errors.length) logger.log(`   ${errors.join('; ')}`);
+      return [];
+    }
+
+    logger.log(`Searching in: ${folderPath}`);
+    return await searchInDAMData(bestData, folderPath, pattern);
+  }
+
+  /**
+   * Search for pattern matches in a specific folder (multiple patterns)
+   */
+  async function searchInFolderMultiple(folderPath, patterns) {
+    config.stats.foldersScanned++;
+
+    const jsonDepths = config.smartDepthDetection
+      ? ['.1.json', '.json', '.2.json', '.3.json', '.4.json', '.5.json']
+      : ['.1.json', '.json'];
+
+    let bestData = null;
+    let maxItems = 0;
+    const errors = [];
+
+    for (const jsonDepth of jsonDepths) {
+      try {
+        const url = `${config.baseUrl}${folderPath}${jsonDepth}`;
+        const data = await makeRequestWithRetry(url);
+
+        if (data && typeof data === 'object') {
+          const itemCount = Object.keys(data).filter(k => !k.startsWith('jcr:') && !k.startsWith(':')).length;
+          if (itemCount > maxItems || (bestData === null && itemCount >= 0)) {
+            maxItems = itemCount;
+            bestData = data;
+            if (itemCount > 50) break;
+          }
+        }
+      } catch (error) {
+        throwIfStopped();
+        errors.push(`${jsonDepth}: ${error.message}`);
+      }
+    }
+
+    if (!bestData) {
+      logger.log(`Warning: could not load ${folderPath} (all depths failed)`);
+      if (errors.length) logger.log(`   ${errors.join('; ')}`);
+      return [];
+    }
+
+    logger.log(`Searching in: ${folderPath}`);
+    return await searchInDAMDataMultiple(bestData, folderPath, patterns);
+  }
+
+  /**
+   * Search through DAM data for pattern matches
+   */
+  async function searchInDAMData(data, basePath, pattern) {
+    if (!data || typeof data !== 'object') return [];
+
+    const matches = [];
+
+    for (const key in data) {
+      if (key.startsWith('jcr:') || key.startsWith(':') ||
+        key === 'rep:policy' || key === 'cq:conf') continue;
+
+      const item = data[key];
+      if (!item || typeof item !== 'object') continue;
+
+      const itemPath = item['jcr:path'] || `${basePath}/${key}`;
+      const primaryType = item['jcr:primaryType'];
+
+      // Check if it's an asset
+      if (isAsset(item, primaryType)) {
+        const assetInfo = extractAssetInfo(item, itemPath);
+        if (assetInfo) {
+          const matchReason = checkPatternMatch(assetInfo, pattern);
+          if (matchReason) {
+            assetInfo.matchReason = matchReason;
+            matches.push(assetInfo);
+          }
+        }
+      }
+
+      // If it's a folder, add to queue for further searching
+      if (isFolder(primaryType)) {
+        if (!config.processedPaths.has(itemPath)) {
+          config.folderQueue.push(itemPath);
+        }
+
+        // Also search nested data if present
+        const nestedMatches = await searchInDAMData(item, itemPath, pattern);
+        matches.push(...nestedMatches);
+      }
+    }
+
+    return matches;
+  }
+
+  /**
+   * Search through DAM data for multiple pattern matches
+   */
+  async function searchInDAMDataMultiple(data, basePath, patterns) {
+    if (!data || typeof data !== 'object') return [];
+
+    const matches = [];
+
+    for (const key in data) {
+      if (key.startsWith('jcr:') || key.startsWith(':') ||
+        key === 'rep:policy' || key === 'cq:conf') continue;
+
+      const item = data[key];
+      if (!item || typeof item !== 'object') continue;
+
+      const itemPath = item['jcr:path'] || `${basePath}/${key}`;
+      const primaryType = item['jcr:primaryType'];
+
+      // Check if it's an asset
+      if (isAsset(item, primaryType)) {
+        const assetInfo = extractAssetInfo(item, itemPath);
+        if (assetInfo) {
+          // Check against all patterns
+          for (const pattern of patterns) {
+            const matchResult = checkPatternMatch(assetInfo, pattern);
+            if (matchResult) {
+              assetInfo.matchReason = matchResult;
+              assetInfo.matchedPattern = pattern;
+              matches.push(assetInfo);
+              break; // Don't match the same asset multiple times
+            }
+          }
+        }
+      }
+
+      // If it's a folder, add to queue for further searching
+      if (isFolder(primaryType)) {
+        if (!config.processedPaths.has(itemPath)) {
+          config.folderQueue.push(itemPath);
+        }
+
+        // Also search nested data if present
+        const nestedMatches = await searchInDAMDataMultiple(item, itemPath, patterns);
+        matches.push(...nestedMatches);
+      }
+    }
+
+    return matches;
+  }
+
+  /**
+   * Check if an asset matches the search pattern
+   */
+  function checkPatternMatch(assetInfo, pattern) {
+    const checks = [
+      {
+        value: assetInfo.path.toLowerCase(),
+        reason: 'Full path match'
+      },
+      {
+        value: assetInfo.name.toLowerCase(),
+        reason: 'Filename match'
+      },
+      {
+        value: path.basename(assetInfo.path, path.extname(assetInfo.path)).toLowerCase(),
+        reason: 'Filename without extension match'
+      }
+    ];
+
+    // Add metadata checks if available
+    if (assetInfo.title) {
+      checks.push({
+        value: assetInfo.title.toLowerCase(),
+        reason: 'Title match'
+      });
+    }
+
+    if (assetInfo.description) {
+      checks.push({
+        value: assetInfo.description.toLowerCase(),
+        reason: 'Description match'
+      });
+    }
+
+    if (assetInfo.keywords) {
+      checks.push({
+        value: String(assetInfo.keywords).toLowerCase(),
+        reason: 'Keywords match'
+      });
+    }
+
+    // Check for matches
+    for (const check of checks) {
+      if (check.value.includes(pattern)) {
+        return check.reason;
+      }
+    }
+
+    // Check for partial path segments
+    const pathSegments = assetInfo.path.toLowerCase().split('/');
+    for (const segment of pathSegments) {
+      if (segment.includes(pattern)) {
+        return 'Path segment match';
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Generate search results file (kind 'discover' for discover's asset list)
+   */
+  function saveSearchResults(pattern, foundAssets, kind = 'search') {
+    if (foundAssets.length === 0) return;
+
+    const searchReport = {
+      search: {
+        pattern: pattern,
+        where: config.wherePredicate ? describeWhere(config.wherePredicate) : undefined,
+        dateWindow: hasDateFilters() ? { ...config.dateFilters, missingDates: config.missingDates } : undefined,
+        fulltext: config.fulltextQuery || undefined,
+        timestamp: new Date().toISOString(),
+        resultsCount: foundAssets.length,
+        baseUrl: config.baseUrl
+      },
+      results: foundAssets.map(asset => ({
+        rank: asset.rank,
+        score: asset.score,
+        path: asset.path,
+        name: asset.name,
+        size: asset.size,
+        sizeFormatted: formatBytes(asset.size || 0),
+        extension: asset.extension,
+        mimeType: asset.mimeType,
+        matchReason: asset.matchReason,
+        matchedPattern: asset.matchedPattern,
+        matchedField: asset.matchedField,
+        excerpt: asset.excerpt,
+        downloadUrl: `${config.baseUrl}${asset.path}`,
+        // Include key metadata if available
+        title: asset.title,
+        created: asset.created,
+        modified: asset.modified
+      }))
+    };
+
+    ensureDirectory(config.outputDir);
+    const reportPath = path.join(config.outputDir, `${kind}-results-${Date.now()}.json`);
+    writeFileAtomic(reportPath, JSON.stringify(searchReport, null, 2));
+
+    logger.log(`${kind === 'search' ? 'Search' : 'Discover'} results saved to: ${reportPath}`);
+
+    // Also create a simple paths-only file for easy query use
+    const pathsOnly = foundAssets.map(asset => asset.path);
+    const pathsPath = path.join(config.outputDir, `${kind}-paths-${Date.now()}.json`);
+    writeFileAtomic(pathsPath, JSON.stringify({ assets: pathsOnly }, null, 2));
+
+    logger.log(`Asset paths saved to: ${pathsPath}`);
+    logger.log(`Use with: node aem.js download --query ${pathsPath}`);
+  }
+
+  // ============================================
+  // INTELLIGENT DAM DISCOVERY
+  // ============================================
+
+  /**
+   * `progress` events for one phase of a call ('discovery' or 'download'): at most one
+   * a second, and a last one when the phase ends. snapshot(ended) supplies the counts.
+   */
+  function createProgressReporter(phase, snapshot) {
+    let lastUpdate = Date.now();
+    return (ended = false) => {
+      const now = Date.now();
+      if (!ended && now - lastUpdate <= 1000) return;
+      lastUpdate = now;
+      emitEvent('progress', { phase, ...snapshot(ended) });
+    };
+  }
+
+  // Discovery progress: assets found and folders scanned so far
+  const createDiscoveryProgress = () => createProgressReporter('discovery', (ended) => ({
+    final: ended,
+    found: config.stats.totalAssets,
+    foldersScanned: config.stats.foldersScanned
+  }));
+
+  /**
+   * Main discovery function - finds all assets in entire DAM
+   */
+  async function discoverAllAssets() {
+    logger.log('\nStarting Intelligent DAM Discovery...\n');
+    logger.log('='.repeat(60));
+    const reportProgress = createDiscoveryProgress();
+
+    // If --folder pre-seeded the queue, respect it; otherwise scan the whole DAM.
+    if (config.folderQueue.length === 0) {
+      config.folderQueue.push(config.startPath);
+    }
+
+    const testLimitReached = () => config.testMode && config.stats.totalAssets >= config.testLimit;
+
+    // Workers share folderQueue and processedPaths. An idle worker waits while
+    // others are still scanning, since those scans may queue more subfolders.
+    const worker = async () => {
+      while (!testLimitReached()) {
+        throwIfStopped();
+        const currentPath = config.folderQueue.shift();
+        if (currentPath === undefined) {
+          if (config.scanningPaths.size === 0) return;
+          await sleep(50);
+          continue;
+        }
+
+        // Skip if already processed
+        if (config.processedPaths.has(currentPath)) continue;
+        config.processedPaths.add(currentPath);
+
+        config.scanningPaths.add(currentPath);
+        try {
+          await scanFolder(currentPath);
+        } finally {
+          config.scanningPaths.delete(currentPath);
+        }
+        reportProgress();
+        maybeSaveCheckpoint('discovery');
+
+        // Adaptive delay
+        if (config.adaptiveDelay && config.stats.foldersScanned % 10 === 0) {
+          await sleep(config.sleepTime);
+        }
+      }
+    };
+
+    logger.log(`Discovery workers: ${config.discoveryConcurrency}`);
+    await settleAll(Array.from({ length: config.discoveryConcurrency }, worker));
+    reportProgress(true);
+
+    // In test mode, stop early if we have enough assets
+    if (testLimitReached()) {
+      logger.log(`\nTest mode: Stopping discovery after finding ${config.stats.totalAssets} assets`);
+    }
+
+    logger.log('\n' + '='.repeat(60));
+    logger.log(`Discovery Complete: Found ${config.stats.totalAssets} total assets`);
+    logger.log(`Scanned ${config.stats.foldersScanned} folders`);
+    if (config.testMode) {
+      logger.log(`TEST MODE: Limited to ${config.testLimit} assets`);
+    }
+    logger.log('='.repeat(60) + '\n');
+
+    // In test mode, return only the first N assets
+    const allAssets = Array.from(config.discoveredAssets.values());
+    if (config.testMode) {
+      return allAssets.slice(0, config.testLimit);
+    }
+    return allAssets;
+  }
+
+  /**
+   * Discovery backend that lists every dam:Asset under config.startPath through
+   * paged QueryBuilder requests instead of walking folders. Selective hits bring
+   * jcr:content two levels deep (metadata and rendition names), which is all
+   * extractAssetInfo needs. Filtering and the test limit match the crawler.
+   */
+  async function discoverAllAssetsViaQuery() {
+    logger.log('\nStarting QueryBuilder DAM Discovery...\n');
+    logger.log('='.repeat(60));
+    logger.log(`Root: ${config.startPath} (page size: ${config.queryPageSize})`);
+    const reportProgress = createDiscoveryProgress();
+
+    const params = [
+      ['path', config.startPath],
+      ['type', 'dam:Asset'],
+      ['orderby', 'path'], // Stable order so offsets stay valid across pages and resumed runs
+      ['p.hits', 'selective'],
+      ['p.properties', 'jcr:path jcr:primaryType jcr:created jcr:content'],
+      ['p.nodedepth', '2'],
+      ['p.guessTotal', 'true']
+    ];
+
+    if (config.discoveryOffset > 0) {
+      logger.log(`Resuming at result ${config.discoveryOffset}`);
+    }
+
+    try {
+      for await (const page of queryBuilderPages(params, { startOffset: config.discoveryOffset })) {
+        let pageAssets = 0;
+        let processedHits = 0;
+
+        for (const hit of page.hits) {
+          processedHits++;
+          const itemPath = hit['jcr:path'];
+          if (!itemPath) continue;
+
+          const assetInfo = extractAssetInfo(hit, itemPath);
+          if (!assetInfo || !isValidAsset(assetInfo)) continue;
+
+          if (await addDiscoveredAsset(assetInfo)) pageAssets++;
+
+          if (config.testMode && config.stats.totalAssets >= config.testLimit) break;
+        }
+
+        config.discoveryOffset = page.offset + processedHits;
+        config.stats.queryPages++;
+        logger.log(`Page ${config.stats.queryPages}: results ${page.offset + 1}-${config.discoveryOffset}` +
+          `${page.total != null ? ` of ${page.more ? 'at least ' : ''}${page.total}` : ''}, ${pageAssets} new assets` +
+          ` (total: ${config.stats.totalAssets})`);
+        reportProgress();
+        maybeSaveCheckpoint('discovery');
+
+        if (config.testMode && config.stats.totalAssets >= config.testLimit) {
+          logger.log(`\nTest mode: Stopping discovery after finding ${config.stats.totalAssets} assets`);
+          break;
+        }
+
+        await sleep(config.sleepTime);
+      }
+    } catch (error) {
+      throwIfStopped();
+      // Keep what was found; the failure also blocks orphan pruning for this run
+      logger.log(`Warning: QueryBuilder discovery stopped at result ${config.discoveryOffset}: ${error.message}`);
+      config.stats.failedFolders++;
+      config.stats.errors.push({ type: classifyError(error), error: `QueryBuilder discovery: ${error.message}` });
+    }
+    reportProgress(true);
+
+    logger.log('\n' + '='.repeat(60));
+    logger.log(`Discovery Complete: Found ${config.stats.totalAssets} total assets`);
+    if (config.testMode) {
+      logger.log(`TEST MODE: Limited to ${config.testLimit} assets`);
+    }
+    logger.log('='.repeat(60) + '\n');
+
+    const allAssets = Array.from(config.discoveredAssets.values());
+    if (config.testMode) {
+      return allAssets.slice(0, config.testLimit);
+    }
+    return allAssets;
+  }
+
+  /**
+   * Record an asset found by discovery, once the assetDiscovered plugins have accepted it.
+   * Nested JSON and resumed runs can surface the same asset twice; it is counted (and
+   * queued for download) only once. Resolves to true when the asset is new.
+   */
+  async function addDiscoveredAsset(assetInfo) {
+    if (config.discoveredAssets.has(assetInfo.path)) return false;
+
+    const asset = await acceptDiscoveredAsset(assetInfo);
+    // Another discovery worker may have recorded the asset while the plugins ran
+    if (!asset || config.discoveredAssets.has(asset.path)) return false;
+
+    config.stats.totalAssets++;
+    emitEvent('asset', asset);
+    config.discoveredAssets.set(asset.path, asset);
+    checkpointAsset(asset);
+
+    if (config.downloadPipeline && !config.completedDownloads.has(asset.path)) {
+      config.downloadPipeline.push(asset);
+    }
+    return true;
+  }
+
+  /**
+   * Discover assets with the configured backend
+   */
+  function discoverAssets() {
+    return config.discoveryBackend === 'query' ? discoverAllAssetsViaQuery() : discoverAllAssets();
+  }
+
+  /**
+   * Discovery and download as one pipeline: each newly discovered asset is queued
+   * for download right away, so transfers overlap the scan instead of waiting for it.
+   * `pending` holds assets known from a checkpoint that still need downloading.
+   * Resolves with the discovered assets once every queued download has finished.
+   */
+  async function discoverAndDownload(pending = []) {
+    const pipeline = startDownloadPipeline();
+    pending.forEach(pipeline.push);
+
+    let assets;
+    let discoveryError = null;
+    config.downloadPipeline = pipeline;
+    try {
+      assets = await discoverAssets();
+    } catch (error) {
+      discoveryError = error;
+    }
+    config.downloadPipeline = null;
+    pipeline.close();
+
+    // A failed discovery keeps its checkpoint phase so --resume continues scanning
+    if (!discoveryError) saveCheckpoint('download');
+    if (pipeline.pending() > 0) {
+      logger.log(`\nPHASE 2: FINISHING DOWNLOADS (${pipeline.pending()} queued)`);
+      logger.log('='.repeat(60));
+    }
+    await pipeline.done;
+    if (discoveryError) throw discoveryError;
+    saveCheckpoint('download');
+
+    logger.log('\n' + '='.repeat(60) + '\n');
+    return assets;
+  }
+
+  /**
+   * Scan a single folder for assets and subfolders
+   */
+  async function scanFolder(folderPath, depth = 0) {
+    if (depth > config.maxDepth) return;
+
+    config.stats.foldersScanned++;
+
+    // Try different JSON depths to find the best one
+    const jsonDepths = config.smartDepthDetection
+      ? ['.1.json', '.json', '.2.json', '.3.json', '.4.json', '.5.json']
+      : ['.1.json', '.json'];
+
+    let bestData = null;
+    let bestDepth = null;
+    let maxItems = 0;
+    const errors = [];
+
+    for (const jsonDepth of jsonDepths) {
+      try {
+        const url = `${config.baseUrl}${folderPath}${jsonDepth}`;
+        const data = await makeRequestWithRetry(url);
+
+        if (data && typeof data === 'object') {
+          const itemCount = Object.keys(data).filter(k => !k.startsWith('jcr:') && !k.startsWith(':')).length;
+
+          // Use the depth that returns the most items
+          if (itemCount > maxItems) {
+            maxItems = itemCount;
+            bestData = data;
+            bestDepth = jsonDepth;
+
+            // If we get a lot of items, don't try deeper
+            if (itemCount > 50) break;
+          }
+        }
+      } catch (error) {
+        throwIfStopped();
+        errors.push(`${jsonDepth}: ${error.message}`);
+      }
+    }
+
+    if (!bestData) {
+      logger.log(`Warning: could not load ${folderPath} (all depths failed)`);
+      if (errors.length) logger.log(`   ${errors.join('; ')}`);
+      config.stats.failedFolders++;
+      return;
+    }
+
+    logger.log(`Scanning: ${folderPath} (depth: ${depth}, format: ${bestDepth}, items: ${maxItems})`);
+
+    // Process the data
+    await processDAMData(bestData, folderPath, depth);
+  }
+
+  /**
+   * Process DAM JSON data to extract assets and folders
+   */
+  async function processDAMData(data, basePath, currentDepth) {
+    if (!data || typeof data !== 'object') return;
+
+    let localAssets = 0;
+    let localFolders = 0;
+
+    for (const key in data) {
+      // Skip system properties
+      if (key.startsWith('jcr:') || key.startsWith(':') ||
+        key === 'rep:policy' || key === 'cq:conf') continue;
+
+      const item = data[key];
+      if (!item || typeof item !== 'object') continue;
+
+      const itemPath = item['jcr:path'] || `${basePath}/${key}`;
+      const primaryType = item['jcr:primaryType'];
+
+      // Check if it's an asset
+      if (isAsset(item, primaryType)) {
+        const assetInfo = extractAssetInfo(item, itemPath);
+        if (assetInfo && isValidAsset(assetInfo)) {
+          if (await addDiscoveredAsset(assetInfo)) localAssets++;
+
+          // In test mode, stop if we have enough
+          if (config.testMode && config.stats.totalAssets >= config.testLimit) {
+            logger.log(`   Test limit reached (${config.testLimit} assets)`);
+            return;
+          }
+        }
+      }
+
+      // Check if it's a folder
+      if (isFolder(primaryType)) {
+        // Add to queue for processing (unless in test mode and we have enough)
+        if (!config.processedPaths.has(itemPath) && currentDepth < config.maxDepth) {
+          if (!config.testMode || config.stats.totalAssets < config.testLimit) {
+            config.folderQueue.push(itemPath);
+            localFolders++;
+          }
+        }
+
+        // Also recursively process nested data if present
+        if (currentDepth < 2 && (!config.testMode || config.stats.totalAssets < config.testLimit)) {
+          await processDAMData(item, itemPath, currentDepth + 1);
+        }
+      }
+    }
+
+    if (localAssets > 0 || localFolders > 0) {
+      logger.log(`   Found: ${localAssets} assets, ${localFolders} subfolders`);
+    }
+  }
+
+  /**
+   * Check if an item is an asset
+   */
+  function isAsset(item, primaryType) {
+    // Multiple ways to detect an asset
+    if (primaryType === 'dam:Asset') return true;
+    if (primaryType === 'dam:AssetContent') return true;
+    if (item['jcr:content'] && item['jcr:content']['renditions']) return true;
+    if (item['jcr:content'] && item['jcr:content']['metadata']) {
+      const metadata = item['jcr:content']['metadata'];
+      if (metadata['dam:size'] || metadata['dc:format']) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Check if an item is a folder
+   */
+  function isFolder(primaryType) {
+    return primaryType === 'sling:Folder' ||
+      primaryType === 'sling:OrderedFolder' ||
+      primaryType === 'nt:folder' ||
+      primaryType === 'cq:Page' ||
+      primaryType === 'sling:Folder/nt:folder';
+  }
+
+  /**
+   * Extract comprehensive asset information
+   */
+  function extractAssetInfo(assetNode, assetPath) {
+    try {
+      // Multiple possible locations for metadata
+      const jcrContent = assetNode['jcr:content'] || assetNode;
+
+      // Try different metadata locations
+      const metadata = jcrContent['metadata'] ||
+        jcrContent['jcr:content']?.metadata ||
+        assetNode['metadata'] ||
+        {};
+
+      // Merge all metadata from different sources
+      const allMetadata = {};
+
+      // Get metadata from main node
+      Object.keys(assetNode).forEach(key => {
+        if (!key.startsWith('jcr:') && key !== 'jcr:content' && typeof assetNode[key] !== 'object') {
+          allMetadata[key] = assetNode[key];
+        }
+      });
+
+      // Get metadata from jcr:content
+      if (jcrContent && jcrContent !== assetNode) {
+        Object.keys(jcrContent).forEach(key => {
+          if (!key.startsWith('jcr:') && key !== 'metadata' && key !== 'renditions' && typeof jcrContent[key] !== 'object') {
+            allMetadata[key] = jcrContent[key];
+          }
+        });
+      }
+
+      // Get metadata from metadata node
+      Object.keys(metadata).forEach(key => {
+        allMetadata[key] = metadata[key];
+      });
+
+      // Get renditions
+      const renditions = jcrContent['renditions'] ||
+        assetNode['renditions'] ||
+        {};
+
+      const name = path.basename(assetPath);
+      const extension = path.extname(name).toLowerCase().slice(1) || 'unknown';
+
+      // Build download URL
+      const downloadPath = assetPath.startsWith('/') ? assetPath : '/' + assetPath;
+
+      // Extract all possible metadata fields
+      const assetInfo = {
+        path: downloadPath,
+        name: name,
+        extension: extension,
+        mimeType: allMetadata['dc:format'] ||
+          jcrContent['jcr:mimeType'] ||
+          allMetadata['jcr:mimeType'] ||
+          getMimeType(extension),
+        size: parseInt(allMetadata['dam:size']) ||
+          parseInt(jcrContent['dam:size']) ||
+          parseInt(allMetadata['dam:Filedata.sizeOnDisk']) ||
+          0,
+
+        // Image metadata
+        width: allMetadata['tiff:ImageWidth'] ||
+          allMetadata['exif:PixelXDimension'] ||
+          allMetadata['dam:Physicalwidthininches'],
+        height: allMetadata['tiff:ImageLength'] ||
+          allMetadata['exif:PixelYDimension'] ||
+          allMetadata['dam:Physicalheightininches'],
+
+        // Dates
+        created: assetNode['jcr:created'] ||
+          jcrContent['jcr:created'] ||
+          allMetadata['xmp:CreateDate'],
+        modified: jcrContent['jcr:lastModified'] ||
+          allMetadata['jcr:lastModified'] ||
+          allMetadata['xmp:ModifyDate'],
+
+        // Content metadata
+        title: allMetadata['dc:title'] ||
+          allMetadata['jcr:title'] ||
+          name,
+        description: allMetadata['dc:description'] ||
+          allMetadata['jcr:description'],
+        keywords: allMetadata['dc:subject'] ||
+          allMetadata['pdf:Keywords'],
+        creator: allMetadata['dc:creator'] ||
+          allMetadata['xmp:CreatorTool'],
+
+        // Additional metadata
+        copyright: allMetadata['dc:rights'] ||
+          allMetadata['xmpRights:WebStatement'],
+        tags: allMetadata['cq:tags'],
+        lastModifiedBy: allMetadata['jcr:lastModifiedBy'] ||
+          jcrContent['jcr:lastModifiedBy'],
+
+        // Renditions
+        renditions: Object.keys(renditions).filter(r =>
+          !r.includes('jcr:') && !r.includes('cq5dam.thumbnail')
+        ),
+
+        // Full metadata object
+        metadata: allMetadata,
+
+        // Raw data for debugging
+        _raw: {
+          assetNode: assetNode,
+          jcrContent: jcrContent
+        }
+      };
+
+      // Remove undefined values
+      Object.keys(assetInfo).forEach(key => {
+        if (assetInfo[key] === undefined && key !== '_raw') {
+          delete assetInfo[key];
+        }
+      });
+
+      return assetInfo;
+    } catch (error) {
+      logger.log(`   Error extracting metadata for ${assetPath}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Validate if an asset should be downloaded
+   */
+  function isValidAsset(assetInfo) {
+    // Check file size limits
+    if (config.minFileSize > 0 && assetInfo.size < config.minFileSize) return false;
+    if (config.maxFileSize > 0 && assetInfo.size > config.maxFileSize) return false;
+
+    // Check file type filter
+    if (config.fileTypes.length > 0 && !config.fileTypes.includes(assetInfo.extension)) {
+      return false;
+    }
+
+    // Skip patterns
+    const lowerName = assetInfo.name.toLowerCase();
+    if (config.skipPatterns.some(pattern => lowerName.includes(pattern))) {
+      return false;
+    }
+
+    // Created/modified date window
+    if (hasDateFilters() && !matchesDateWindow(assetInfo)) {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Get MIME type from extension
+   */
+  function getMimeType(ext) {
+    const mimes = {
+      jpg: 'image/jpeg', jpeg: 'image/jpeg', png: 'image/png', gif: 'image/gif',
+      svg: 'image/svg+xml', webp: 'image/webp', bmp: 'image/bmp', ico: 'image/x-icon',
+      pdf: 'application/pdf', mp4: 'video/mp4', mov: 'video/quicktime', avi: 'video/x-msvideo',
+      doc: 'application/msword', docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+      xls: 'application/vnd.ms-excel', xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      ppt: 'application/vnd.ms-powerpoint', pptx: 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+      zip: 'application/zip', txt: 'text/plain', html: 'text/html', css: 'text/css',
+      js: 'application/javascript', json: 'application/json', xml: 'text/xml'
+    };
+    return mimes[ext] || 'application/octet-stream';
+  }
+
+  // ============================================
+  // PLUGINS
+  // ============================================
+  // A plugin is an object with any of the hooks below. A module may export one, or a
+  // factory (options, context) that returns one. Hooks may be async. A hook that
+  // throws is reported against the asset it was handling and the run carries on.
+  //
+  //   assetDiscovered(asset)          Return false to drop the asset, or an asset object to use instead
+  //   beforeDownload(asset, target)   Change target.outputPath, set target.url (tried first) or edit target.urls
+  //   afterDownload(asset, result)    { filePath, metadataPath, metadata, size, sha1, url } of the finished download
+  //   runComplete(report)             The report of a run that downloaded
+
+  const PLUGIN_HOOKS = ['assetDiscovered', 'beforeDownload', 'afterDownload', 'runComplete'];
+
+  // A plugins entry as written in the config: its module, or the plugin's own name
+  function describePluginEntry(entry) {
+    if (typeof entry === 'string') return entry;
+    return entry.module || entry.name || 'anonymous plugin';
+  }
+
+  /**
+   * Load config.plugins into [{ name, plugin }]. Relative module paths resolve from the
+   * working directory; anything else is looked up like require() would.
+   */
+  function loadPlugins() {
+    return config.plugins.map((entry) => {
+      const label = describePluginEntry(entry);
+      const spec = typeof entry === 'string' ? { module: entry } : entry;
+      let plugin = entry;
+
+      try {
+        if (typeof spec.module === 'string') {
+          const isPath = spec.module.startsWith('.') || path.isAbsolute(spec.module);
+          plugin = require(isPath ? path.resolve(spec.module) : spec.module);
+        }
+        if (typeof plugin === 'function') {
+          plugin = plugin(spec.options || {}, { baseUrl: config.baseUrl, outputDir: config.outputDir, logger });
+        }
+      } catch (error) {
+        throw new Error(`Plugin ${label} could not be loaded: ${error.message.split('\n')[0]}`);
+      }
+
+      if (!plugin || typeof plugin !== 'object' || !PLUGIN_HOOKS.some(hook => typeof plugin[hook] === 'function')) {
+        throw new Error(`Plugin ${label} has none of the hooks ${PLUGIN_HOOKS.join(', ')}`);
+      }
+      return { name: plugin.name || path.basename(label, '.js'), plugin };
+    });
+  }
+
+  // Plugins implementing `hook`, in config order
+  const getPluginsWith = (hook) => plugins.filter(({ plugin }) => typeof plugin[hook] === 'function');
+
+  async function callPluginHook(name, hook, task) {
+    try {
+      return await task();
+    } catch (error) {
+      throw new RequestError(ERROR_TYPES.PLUGIN, `Plugin ${name} failed in ${hook}: ${error.message}`, { plugin: name, hook });
+    }
+  }
+
+  function recordPluginError(assetInfo, error) {
+    logger.log(`\n${error.message} (${assetInfo.path})`);
+    config.stats.errors.push({
+      asset: assetInfo.path,
+      type: ERROR_TYPES.PLUGIN,
+      plugin: error.plugin,
+      hook: error.hook,
+      error: error.message
+    });
+  }
+
+  // Remember a dropped asset, so the orphan check does not take it for deleted from the DAM
+  function dropDiscoveredAsset(assetPath, reason) {
+    config.droppedAssets.set(assetPath, reason);
+    writeCheckpointLine({ type: 'dropped', path: assetPath, reason });
+  }
+
+  /**
+   * assetDiscovered hooks for an asset from discovery, search or a query list. Each plugin
+   * sees the asset as the previous one left it. Resolves with the asset to keep, or null
+   * when a plugin vetoed it or failed on it (an asset half-enriched is not downloaded;
+   * it counts as failed).
+   */
+  async function acceptDiscoveredAsset(assetInfo) {
+    let asset = assetInfo;
+    try {
+      for (const { name, plugin } of getPluginsWith('assetDiscovered')) {
+        const result = await callPluginHook(name, 'assetDiscovered', () => plugin.assetDiscovered(asset));
+        if (result === false) {
+          logger.log(`Vetoed by plugin ${name}: ${asset.path}`);
+          config.stats.vetoedAssets++;
+          dropDiscoveredAsset(assetInfo.path, 'vetoed');
+          return null;
+        }
+        if (result && typeof result === 'object') asset = result;
+      }
+    } catch (error) {
+      recordPluginError(assetInfo, error);
+      emitEvent('failed', assetInfo, error);
+      config.stats.failedAssets++;
+      dropDiscoveredAsset(assetInfo.path, 'failed');
+      return null;
+    }
+    return asset;
+  }
+
+  // acceptDiscoveredAsset() for a list of search or query results, keeping their order
+  async function acceptDiscoveredAssets(assets) {
+    if (getPluginsWith('assetDiscovered').length === 0) return assets;
+
+    const accepted = [];
+    for (const asset of assets) {
+      const kept = await acceptDiscoveredAsset(asset);
+      if (kept) accepted.push(kept);
+    }
+    return accepted;
+  }
+
+  /**
+   * beforeDownload hooks. `target` is { outputPath, urls }; plugins edit it in place or
+   * return the fields to change. A relative outputPath is taken from the output
+   * directory, a relative url from the AEM server. Throws the plugin's error.
+   */
+  async function applyBeforeDownloadHooks(assetInfo, target) {
+    for (const { name, plugin } of getPluginsWith('beforeDownload')) {
+      const result = await callPluginHook(name, 'beforeDownload', () => plugin.beforeDownload(assetInfo, target));
+      if (result && typeof result === 'object') Object.assign(target, result);
+    }
+
+    const urls = target.url ? [target.url, ...target.urls] : target.urls;
+    return {
+      outputPath: path.resolve(config.outputDir, target.outputPath),
+      urls: urls.map(url => new URL(url, config.baseUrl).href)
+    };
+  }
+
+  // afterDownload hooks. A failure is reported for the asset; the download itself stands.
+  async function runAfterDownloadHooks(assetInfo, result) {
+    for (const { name, plugin } of getPluginsWith('afterDownload')) {
+      try {
+        await callPluginHook(name, 'afterDownload', () => plugin.afterDownload(assetInfo, result));
+      } catch (error) {
+        recordPluginError(assetInfo, error);
+      }
+    }
+  }
+
+  // runComplete hooks. The report is already written, so failures are only logged.
+  async function runCompleteHooks(report) {
+    for (const { name, plugin } of getPluginsWith('runComplete')) {
+      try {
+        await callPluginHook(name, 'runComplete', () => plugin.runComplete(report));
+      } catch (error) {
+        logger.error(`\n${error.message}`);
+      }
+    }
+  }
+
+  // ============================================
+  // DOWNLOAD FUNCTIONS
+  // ============================================
+
+  /**
+   * Download all discovered assets
+   */
+  async function downloadAllAssets(assets) {
+    if (assets.length === 0) {
+      logger.log('\nNo assets to download');
+      return;
+    }
+
+    const downloadCount = config.testMode ? Math.min(assets.length, config.testLimit) : assets.length;
+    logger.log(`\nStarting download of ${downloadCount} assets...`);
+    if (config.testMode) {
+      logger.log(`TEST MODE: Downloading only first ${config.testLimit} assets\n`);
+    }
+    if (config.queryMode) {
+      logger.log(`QUERY MODE: Downloading specific assets from query file\n`);
+    }
+    if (config.findDownloadMode) {
+      logger.log(`FIND & DOWNLOAD MODE: Searching and downloading assets\n`);
+    }
+    logger.log('='.repeat(60));
+
+    const queue = config.testMode ? assets.slice(0, config.testLimit) : [...assets];
+
+    // Journal the full download list so --resume can skip discovery/search entirely
+    queue.forEach(checkpointAsset);
+    saveCheckpoint('download');
+
+    const pipeline = startDownloadPipeline();
+    queue.forEach(pipeline.push);
+    pipeline.close();
+    await pipeline.done;
+
+    saveCheckpoint('download');
+
+    logger.log('\n' + '='.repeat(60) + '\n');
+  }
+
+  /**
+   * Download queue that can be fed while discovery is still running.
+   * config.maxConcurrent workers take assets as they arrive; close() tells them
+   * no more are coming, and `done` resolves once the queue has drained.
+   * In test mode only the first config.testLimit assets are accepted.
+   */
+  function startDownloadPipeline() {
+    const queue = [];
+    const waiting = [];
+    const limit = config.testMode ? config.testLimit : Infinity;
+    let accepted = 0;
+    let closed = false;
+
+    // Counters may already be non-zero when resuming from a checkpoint
+    const alreadyCompleted = config.stats.downloadedAssets + config.stats.skippedAssets + config.stats.failedAssets;
+
+    const wakeOne = () => { if (waiting.length > 0) waiting.shift()(); };
+
+    const nextAsset = async () => {
+      while (queue.length === 0 && !closed) {
+        await new Promise(resolve => waiting.push(resolve));
+      }
+      return queue.shift() || null;
+    };
+
+    // `final` is false while discovery is still feeding the queue (the total is not known yet)
+    const reportProgress = createProgressReporter('download', () => ({
+      completed: config.stats.downloadedAssets + config.stats.skippedAssets + config.stats.failedAssets - alreadyCompleted,
+      queued: accepted,
+      final: closed,
+      downloaded: config.stats.downloadedAssets,
+      skipped: config.stats.skippedAssets,
+      failed: config.stats.failedAssets,
+      bytes: config.stats.totalSize
+    }));
+
+    const worker = async () => {
+      for (let asset = await nextAsset(); asset; asset = await nextAsset()) {
+        throwIfStopped();
+        const outcome = await downloadAsset(asset);
+        if (outcome) emitEvent(outcome, asset);
+        recordTagOutcome(asset, outcome);
+        reportProgress();
+        maybeSaveCheckpoint(config.checkpoint.phase);
+
+        // Small delay between downloads while there is a backlog
+        if (queue.length > 0) {
+          await sleep(config.sleepTime);
+        }
+      }
+    };
+
+    const workers = Array.from({ length: config.maxConcurrent }, worker);
+
+    return {
+      push(assetInfo) {
+        if (closed || accepted >= limit) return;
+        accepted++;
+        queue.push(assetInfo);
+        wakeOne();
+      },
+      close() {
+        closed = true;
+        waiting.splice(0).forEach(resolve => resolve());
+      },
+      pending: () => queue.length,
+      done: settleAll(workers).then(() => reportProgress(true))
+    };
+  }
+
+  /**
+   * Find the DAM path that owns a local file: claimed earlier in this run, or
+   * recorded in the .metadata.json sidecar left by a previous run.
+   * Returns null when the file is free or its owner is unknown (no sidecar).
+   */
+  function getOutputPathOwner(outputPath) {
+    if (config.claimedOutputPaths.has(outputPath)) {
+      return config.claimedOutputPaths.get(outputPath);
+    }
+
+    if (!fs.existsSync(outputPath)) return null;
+
+    try {
+      const sidecar = JSON.parse(fs.readFileSync(`${outputPath}.metadata.json`, 'utf8'));
+      return sidecar?.asset?.path || null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Pick the local file path for an asset (or check the one a plugin chose as
+   * `desiredPath`), applying config.collisionPolicy when a different DAM path
+   * already maps to the same file. Runs synchronously so that concurrent
+   * downloads cannot claim the same path.
+   * Returns { outputPath, overwrite } or throws under the 'fail' policy.
+   */
+  function resolveOutputPath(assetInfo, desiredPath = getAssetOutputPath(assetInfo)) {
+    const owner = getOutputPathOwner(desiredPath);
+
+    if (!owner || owner === assetInfo.path) {
+      config.claimedOutputPaths.set(desiredPath, assetInfo.path);
+      return { outputPath: desiredPath, overwrite: false };
+    }
+
+    const collision = {
+      asset: assetInfo.path,
+      conflictsWith: owner,
+      localPath: toOutputRelative(desiredPath),
+      policy: config.collisionPolicy
+    };
+    config.stats.collisions.push(collision);
+
+    if (config.collisionPolicy === 'fail') {
+      collision.resolution = 'failed';
+      throw new Error(`Filename collision: ${collision.localPath} already belongs to ${owner}`);
+    }
+
+    if (config.collisionPolicy === 'overwrite') {
+      collision.resolution = 'overwritten';
+      config.claimedOutputPaths.set(desiredPath, assetInfo.path);
+      return { outputPath: desiredPath, overwrite: true };
+    }
+
+    let candidate = desiredPath;
+    if (config.collisionPolicy === 'hash') {
+      const hash = crypto.createHash('sha1').update(assetInfo.path).digest('hex').slice(0, 8);
+      candidate = addFilenameSuffix(desiredPath, hash);
+    }
+
+    // Counter policy, and the (unlikely) case of a hash suffix that is itself taken
+    let counter = 1;
+    const base = candidate;
+    let candidateOwner = getOutputPathOwner(candidate);
+    while (candidateOwner && candidateOwner !== assetInfo.path) {
+      candidate = addFilenameSuffix(base, counter++);
+      candidateOwner = getOutputPathOwner(candidate);
+    }
+
+    collision.resolution = 'renamed';
+    collision.resolvedPath = toOutputRelative(candidate);
+    config.claimedOutputPaths.set(candidate, assetInfo.path);
+    logger.log(`\nCollision: ${assetInfo.path} -> ${collision.resolvedPath} (${collision.localPath} belongs to ${owner})`);
+    return { outputPath: candidate, overwrite: false };
+  }
+
+  /**
+   * Download a single asset with multiple URL attempts.
+   * Resolves to 'downloaded', 'skipped' (already present / unchanged) or false on failure.
+   * `refreshed` marks asset info re-read after a resumed download failed (see refreshAssetInfo).
+   */
+  async function downloadAsset(assetInfo, refreshed = false) {
+    try {
+      // Plugins may pick another local path or download URL before anything is fetched
+      const target = await applyBeforeDownloadHooks(assetInfo, {
+        outputPath: getAssetOutputPath(assetInfo),
+        urls: [
+          `${config.baseUrl}${assetInfo.path}`,
+          `${config.baseUrl}${assetInfo.path}/jcr:content/renditions/original`,
+          `${config.baseUrl}${assetInfo.path}/_jcr_content/renditions/original`,
+          `${config.baseUrl}/content/dam${assetInfo.path}`,
+          `${config.baseUrl}${assetInfo.path}?dl=true`
+        ]
+      });
+
+      // Sidecar (.metadata.json) and .renditions folder always sit next to the binary,
+      // so they follow whichever layout config.outputLayout selects.
+      const { outputPath, overwrite } = resolveOutputPath(assetInfo, target.outputPath);
+      ensureDirectory(path.dirname(outputPath));
+
+      // In sync mode the manifest, not the size heuristic below, decides what to fetch
+      const syncResult = config.syncMode ? classifySyncAsset(assetInfo, outputPath) : null;
+      if (syncResult && syncResult.status === 'unchanged') {
+        recordSyncResult(assetInfo, outputPath, syncResult);
+        config.stats.skippedAssets++;
+        checkpointDone(assetInfo.path);
+        return 'skipped';
+      }
+
+      // Check if already exists (an overwritten collision belongs to another asset, so never reuse it)
+      if (!overwrite && !syncResult && fs.existsSync(outputPath)) {
+        const existingSize = fs.statSync(outputPath).size;
+
+        // If we know the expected size, verify it
+        if (assetInfo.size > 0 && Math.abs(existingSize - assetInfo.size) < 1000) {
+          config.stats.skippedAssets++;
+          checkpointDone(assetInfo.path);
+          return 'skipped';
+        }
+
+        // If file has content, skip
+        if (existingSize > 100) {
+          config.stats.skippedAssets++;
+          checkpointDone(assetInfo.path);
+          return 'skipped';
+        }
+      }
+
+      // Try different URL patterns
+      const urlPatterns = target.urls;
+
+      let downloadResult = null;
+      let lastError = null;
+      let usedUrl = null;
+      const expectedSha1 = getExpectedSha1(assetInfo);
+
+      for (const url of urlPatterns) {
+        try {
+          let result = await fetchWithResume(url, outputPath, assetInfo);
+
+          // The bytes arrived but are wrong (truncated, or a different binary): refetch before giving up
+          for (let attempt = 1; expectedSha1 && result.sha1 !== expectedSha1; attempt++) {
+            config.stats.checksumMismatches++;
+            if (attempt >= config.retryAttempts) {
+              throw new RequestError(ERROR_TYPES.INVALID_CONTENT,
+                `Checksum mismatch: expected sha1 ${expectedSha1}, got ${result.sha1}`, { url, checksumMismatch: true });
+            }
+            logger.log(`\nChecksum mismatch for ${assetInfo.name} - retrying (${attempt}/${config.retryAttempts - 1})`);
+            discardPart(outputPath);
+            await sleep(getRetryDelay(attempt));
+            result = await fetchWithResume(url, outputPath, assetInfo);
+          }
+
+          if (result.size > 0) {
+            downloadResult = result;
+            usedUrl = url;
+            break;
+          }
+
+          discardPart(outputPath);
+        } catch (error) {
+          throwIfStopped(); // The .part file stays for --resume
+          lastError = error;
+          // A partial .part stays for Range resume on the next attempt or run; bad bytes never do
+          if (error.checksumMismatch || !error.partial) {
+            discardPart(outputPath);
+          }
+          // The server answered consistently with other bytes; other URL patterns serve the same binary
+          if (error.checksumMismatch) break;
+          // Auth, throttling and connection failures would repeat on every other URL pattern
+          if (ASSET_WIDE_ERRORS.includes(classifyError(error))) break;
+        }
+      }
+
+      if (!downloadResult) {
+        throw lastError || new Error('All download attempts failed');
+      }
+
+      // Save metadata if enabled. The sidecar is written before the binary is moved into
+      // place, so an interrupted run never leaves a "complete" binary without its sidecar.
+      let metadataPath = null;
+      let fullMetadata = null;
+      if (config.downloadMetadata) {
+        metadataPath = `${outputPath}.metadata.json`;
+        const downloadedSize = downloadResult.size;
+
+        // Create comprehensive metadata object
+        fullMetadata = {
+          asset: {
+            path: assetInfo.path,
+            name: assetInfo.name,
+            extension: assetInfo.extension,
+            mimeType: assetInfo.mimeType,
+            size: assetInfo.size,
+            sizeFormatted: formatBytes(assetInfo.size || 0),
+            queryBased: assetInfo.queryBased || false
+          },
+          properties: {
+            width: assetInfo.width,
+            height: assetInfo.height,
+            created: assetInfo.created,
+            modified: assetInfo.modified,
+            title: assetInfo.title,
+            description: assetInfo.description,
+            keywords: assetInfo.keywords,
+            creator: assetInfo.creator,
+            copyright: assetInfo.copyright,
+            tags: assetInfo.tags,
+            lastModifiedBy: assetInfo.lastModifiedBy
+          },
+          aem: {
+            renditions: assetInfo.renditions,
+            originalMetadata: assetInfo.metadata
+          },
+          download: {
+            downloadedAt: new Date().toISOString(),
+            downloadedSize: downloadedSize,
+            downloadUrl: usedUrl,
+            sha1: downloadResult.sha1,
+            checksumVerified: Boolean(expectedSha1),
+            localPath: toOutputRelative(outputPath),
+            layout: config.outputLayout,
+            mode: config.queryMode ? 'query' : (config.testMode ? 'test' : (config.findDownloadMode ? 'find' : 'full'))
+          }
+        };
+
+        // Include raw data if available (for debugging)
+        if (assetInfo._raw) {
+          fullMetadata._raw = assetInfo._raw;
+        }
+
+        writeFileAtomic(metadataPath, JSON.stringify(fullMetadata, null, 2));
+      }
+
+      // Only a complete, verified binary replaces the final file
+      commitPart(outputPath);
+      config.stats.downloadedAssets++;
+      config.stats.totalSize += downloadResult.size;
+
+      const resumed = downloadResult.resumedFrom > 0 ? `, resumed at ${formatBytes(downloadResult.resumedFrom)}` : '';
+      logger.log(`\nDownloaded: ${assetInfo.name} (${formatBytes(downloadResult.size)}${resumed})${expectedSha1 ? ' [sha1 verified]' : ''}`);
+      if (config.downloadMetadata) {
+        logger.log(`   Metadata saved: ${path.basename(outputPath)}.metadata.json`);
+      }
+
+      if (syncResult) {
+        recordSyncResult(assetInfo, outputPath, syncResult);
+      }
+
+      // Download renditions if enabled
+      if (config.downloadRenditions && assetInfo.renditions?.length > 0) {
+        await downloadRenditions(assetInfo, outputPath);
+      }
+
+      await runAfterDownloadHooks(assetInfo, {
+        filePath: outputPath,
+        metadataPath,
+        metadata: fullMetadata,
+        size: downloadResult.size,
+        sha1: downloadResult.sha1,
+        url: usedUrl
+      });
+
+      checkpointDone(assetInfo.path);
+      return 'downloaded';
+
+    } catch (error) {
+      throwIfStopped();
+      // A resumed asset carries the metadata saved in the checkpoint; when its bytes do not
+      // match, the binary may have changed on the server since, so check once with fresh metadata
+      if (config.resumeMode && !refreshed && classifyError(error) === ERROR_TYPES.INVALID_CONTENT) {
+        const fresh = await refreshAssetInfo(assetInfo);
+        if (fresh) return downloadAsset(fresh, true);
+      }
+      logger.log(`\nFailed: ${assetInfo.name} - ${error.message}`);
+      emitEvent('failed', assetInfo, error);
+      config.stats.failedAssets++;
+      config.stats.errors.push({
+        asset: assetInfo.path,
+        type: classifyError(error),
+        status: error.status,
+        plugin: error.plugin,
+        hook: error.hook,
+        error: error.message
+      });
+      return false;
+    }
+  }
+
+  // The asset's current metadata from AEM (sha1, size, modified), or null when it cannot be read
+  async function refreshAssetInfo(assetInfo) {
+    try {
+      const fresh = extractAssetInfo(await makeRequestWithRetry(`${config.baseUrl}${assetInfo.path}.json`), assetInfo.path);
+      if (!fresh) return null;
+      logger.log(`\n${assetInfo.name}: checking again with its current metadata (the checkpoint's copy may be out of date)`);
+      return { ...assetInfo, ...fresh };
+    } catch (error) {
+      throwIfStopped();
+      return null;
+    }
+  }
+
+  /**
+   * AEM records the original binary's SHA-1 as dam:sha1 in the asset metadata
+   */
+  function getExpectedSha1(assetInfo) {
+    const value = assetInfo.metadata?.['dam:sha1'];
+    return typeof value === 'string' && /^[0-9a-f]{40}$/i.test(value) ? value.toLowerCase() : null;
+  }
+
+  // In-progress downloads live next to the final file until verified:
+  // <file>.part holds the bytes, <file>.part.json the URL and validators for Range resume
+  const getPartPaths = (filePath) => ({ partPath: `${filePath}.part`, metaPath: `${filePath}.part.json` });
+
+  function discardPart(filePath) {
+    const { partPath, metaPath } = getPartPaths(filePath);
+    [partPath, metaPath].forEach(p => {
+      if (fs.existsSync(p)) fs.unlinkSync(p);
+    });
+  }
+
+  // Move a finished .part over the final file (rename is atomic within a directory)
+  function commitPart(filePath) {
+    const { partPath, metaPath } = getPartPaths(filePath);
+    fs.renameSync(partPath, filePath);
+    if (fs.existsSync(metaPath)) fs.unlinkSync(metaPath);
+  }
+
+  // Hash the bytes already on disk so a resumed download still yields the whole-file SHA-1
+  const hashExistingFile = (filePath, hash) => new Promise((resolve, reject) => {
+    fs.createReadStream(filePath)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', resolve)
+      .on('error', reject);
+  });
+
+  /**
+   * Stream one URL into <filePath>.part, hashing the bytes as they arrive.
+   * When an earlier attempt or run left a .part for the same URL and the server
+   * advertised byte ranges, only the missing bytes are requested. If-Range makes
+   * the server send the whole binary instead when its ETag/Last-Modified changed.
+   * Rejects on HTTP or stream errors, HTML error/login pages, and short bodies;
+   * errors after bytes reached the .part carry `partial: true`.
+   * Returns { size, sha1, resumedFrom }
+   */
+  async function fetchToFile(url, filePath, assetInfo) {
+    const { partPath, metaPath } = getPartPaths(filePath);
+
+    let offset = 0;
+    let validator = null;
+    if (fs.existsSync(partPath) && fs.existsSync(metaPath)) {
+      try {
+        const meta = JSON.parse(fs.readFileSync(metaPath, 'utf8'));
+        // If-Range only accepts strong ETags
+        validator = meta.etag && !meta.etag.startsWith('W/') ? meta.etag : meta.lastModified;
+        if (meta.url === url && meta.acceptRanges === 'bytes' && validator) {
+          offset = fs.statSync(partPath).size;
+        }
+      } catch (e) {
+        offset = 0;
+      }
+    }
+
+    const headers = offset > 0 ? { 'Range': `bytes=${offset}-`, 'If-Range': validator } : {};
+    const response = await makeRequestWithRetry(url, {
+      responseType: 'stream',
+      expectBinary: !['html', 'htm'].includes(assetInfo.extension),
+      // Credentials stay with the AEM origin, also for download URLs set by a plugin
+      auth: new URL(url).origin === new URL(config.baseUrl).origin,
+      headers
+    });
+
+    // 206 continues the .part; a 200 is the full binary (no range support, or the validator changed)
+    let resumedFrom = 0;
+    if (response.statusCode === 206) {
+      const rangeStart = parseInt((String(response.headers['content-range'] || '').match(/bytes (\d+)-/) || [])[1]);
+      if (offset === 0 || rangeStart !== offset) {
+        response.resume();
+        discardPart(filePath);
+        throw new RequestError(ERROR_TYPES.INVALID_CONTENT, `Unexpected partial response (${response.headers['content-range'] || 'no Content-Range'})`, { url });
+      }
+      resumedFrom = offset;
+    } else {
+      writeFileAtomic(metaPath, JSON.stringify({
+        url,
+        etag: response.headers.etag || null,
+        lastModified: response.headers['last-modified'] || null,
+        acceptRanges: response.headers['accept-ranges'] || null,
+        contentLength: parseInt(response.headers['content-length']) || null,
+        startedAt: new Date().toISOString()
+      }));
+    }
+
+    const hash = crypto.createHash('sha1');
+    if (resumedFrom > 0) {
+      await hashExistingFile(partPath, hash);
+    }
+
+    let size = 0;
+    try {
+      await new Promise((resolve, reject) => {
+        const writer = fs.createWriteStream(partPath, { flags: resumedFrom > 0 ? 'a' : 'w' });
+        let failure = null;
+
+        // On a dropped connection flush what arrived and close, so the .part stays resumable
+        const fail = (error) => {
+          if (failure) return;
+          failure = error;
+          response.unpipe(writer);
+          writer.end();
+        };
+
+        response.on('data', chunk => {
+          hash.update(chunk);
+          size += chunk.length;
+        });
+        response.on('error', error => fail(new RequestError(ERROR_TYPES.NETWORK, error.message, { code: error.code, url })));
+        response.on('aborted', () => fail(new RequestError(ERROR_TYPES.NETWORK, 'Connection closed mid-download', { url })));
+        writer.on('error', error => {
+          failure = failure || error;
+          reject(failure);
+        });
+        writer.on('close', () => (failure ? reject(failure) : resolve()));
+        response.pipe(writer);
+      });
+
+      const expectedLength = parseInt(response.headers['content-length']);
+      if (!isNaN(expectedLength) && size !== expectedLength) {
+        throw new RequestError(ERROR_TYPES.NETWORK, `Truncated download: received ${size} of ${expectedLength} bytes`, { url });
+      }
+    } catch (error) {
+      throwIfStopped();
+      error.partial = resumedFrom + size > 0;
+      throw error;
+    }
+
+    return { size: resumedFrom + size, sha1: hash.digest('hex'), resumedFrom };
+  }
+
+  /**
+   * fetchToFile with in-place retries: a connection that drops mid-stream is
+   * resumed on the same URL before the caller falls back to the next URL pattern.
+   */
+  async function fetchWithResume(url, filePath, assetInfo) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await fetchToFile(url, filePath, assetInfo);
+      } catch (error) {
+        throwIfStopped();
+        if (!error.partial || !isRetryable(error) || attempt >= config.retryAttempts) throw error;
+
+        const received = fs.existsSync(`${filePath}.part`) ? fs.statSync(`${filePath}.part`).size : 0;
+        logger.log(`\n${assetInfo.name}: ${error.message} - resuming at ${formatBytes(received)} (${attempt}/${config.retryAttempts - 1})`);
+        await sleep(getRetryDelay(attempt, error));
+      }
+    }
+  }
+
+  /**
+   * Download asset renditions
+   */
+  async function downloadRenditions(assetInfo, outputPath) {
+    if (!config.downloadRenditions || !assetInfo.renditions?.length) return;
+
+    const renditionsDir = `${outputPath}.renditions`;
+
+    for (const rendition of assetInfo.renditions) {
+      if (rendition === 'original' || rendition.includes('metadata')) continue;
+
+      try {
+        const urls = [
+          `${config.baseUrl}${assetInfo.path}/jcr:content/renditions/${rendition}`,
+          `${config.baseUrl}${assetInfo.path}/_jcr_content/renditions/${rendition}`
+        ];
+
+        ensureDirectory(renditionsDir);
+        const renditionPath = path.join(renditionsDir, rendition);
+
+        // Named for fetchWithResume's retry messages; path is the asset the rendition belongs to
+        const renditionInfo = { name: rendition, path: assetInfo.path, extension: path.extname(rendition).toLowerCase().slice(1) };
+
+        for (const url of urls) {
+          try {
+            const result = await fetchWithResume(url, renditionPath, renditionInfo);
+
+            if (result.size > 0) {
+              commitPart(renditionPath);
+              logger.log(`   Rendition saved: ${rendition}`);
+              break;
+            }
+            discardPart(renditionPath);
+          } catch (e) {
+            // Try next URL
+            if (!e.partial) discardPart(renditionPath);
+          }
+        }
+      } catch (error) {
+        // Silent fail for renditions
+      }
+    }
+  }
+
+  // ============================================
+  // INCREMENTAL SYNC
+  // ============================================
+
+  const getSyncManifestPath = () => path.join(config.outputDir, '.sync-manifest.json');
+
+  const toTimestamp = (value) => {
+    const time = Date.parse(value);
+    return isNaN(time) ? null : time;
+  };
+
+  /**
+   * Load the sync manifest left by the previous --sync run (empty on first sync)
+   */
+  function loadSyncManifest() {
+    const manifestPath = getSyncManifestPath();
+    const empty = { version: 1, baseUrl: config.baseUrl, assets: {} };
+
+    if (!fs.existsSync(manifestPath)) return empty;
+
+    try {
+      const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+      if (!manifest || typeof manifest.assets !== 'object') {
+        throw new Error('missing "assets"');
+      }
+      if (manifest.baseUrl && config.baseUrl && manifest.baseUrl !== config.baseUrl) {
+        logger.log(`Warning: sync manifest was built against ${manifest.baseUrl}`);
+      }
+      return manifest;
+    } catch (error) {
+      logger.log(`Warning: could not read sync manifest (${error.message}) - every asset will be treated as new`);
+      return empty;
+    }
+  }
+
+  function saveSyncManifest() {
+    if (!config.syncMode || !config.syncManifest) return;
+
+    config.syncManifest.baseUrl = config.baseUrl;
+    config.syncManifest.updatedAt = new Date().toISOString();
+    // Compact on purpose: a full-DAM manifest holds one entry per asset
+    writeFileAtomic(getSyncManifestPath(), JSON.stringify(config.syncManifest));
+  }
+
+  /**
+   * Compare an asset with its manifest entry.
+   * Returns { status: 'added' | 'updated' | 'unchanged', reason }
+   */
+  function classifySyncAsset(assetInfo, outputPath) {
+    const entry = config.syncManifest.assets[assetInfo.path];
+    const localPath = toOutputRelative(outputPath);
+    const fileExists = fs.existsSync(outputPath);
+
+    if (!entry) {
+      // First sync over an existing mirror: adopt files whose sidecar already matches
+      if (fileExists) {
+        try {
+          const sidecar = JSON.parse(fs.readFileSync(`${outputPath}.metadata.json`, 'utf8'));
+          if (sidecar.asset?.path === assetInfo.path && assetInfo.modified &&
+            toTimestamp(sidecar.properties?.modified) === toTimestamp(assetInfo.modified)) {
+            return { status: 'unchanged', reason: 'adopted existing file' };
+          }
+        } catch (e) {
+          // No usable sidecar - download it
+        }
+      }
+      return { status: 'added', reason: 'new asset' };
+    }
+
+    if (!fileExists) return { status: 'updated', reason: 'local file missing' };
+    if (entry.localPath !== localPath) return { status: 'updated', reason: 'local path changed' };
+
+    const remoteModified = toTimestamp(assetInfo.modified);
+    const localModified = toTimestamp(entry.modified);
+    if (remoteModified !== null && (localModified === null || remoteModified > localModified)) {
+      return { status: 'updated', reason: 'modified in DAM' };
+    }
+
+    if (assetInfo.size > 0 && entry.size > 0 && assetInfo.size !== entry.size) {
+      return { status: 'updated', reason: 'size changed' };
+    }
+
+    return { status: 'unchanged' };
+  }
+
+  /**
+   * Update the manifest entry and the delta lists for a synced asset
+   */
+  function recordSyncResult(assetInfo, outputPath, syncResult) {
+    const downloadedSize = fs.existsSync(outputPath) ? fs.statSync(outputPath).size : 0;
+
+    config.syncManifest.assets[assetInfo.path] = {
+      localPath: toOutputRelative(outputPath),
+      modified: assetInfo.modified || null,
+      created: assetInfo.created || null,
+      size: assetInfo.size || downloadedSize,
+      syncedAt: new Date().toISOString()
+    };
+
+    if (syncResult.status === 'unchanged') {
+      config.stats.sync.unchanged.push(assetInfo.path);
+    } else {
+      config.stats.sync[syncResult.status].push({ path: assetInfo.path, reason: syncResult.reason });
+    }
+  }
+
+  // ============================================
+  // ORPHAN DETECTION
+  // ============================================
+
+  /**
+   * List local assets known from the sync manifest, or failing that from the
+   * .metadata.json sidecars in the output directory.
+   * Returns [{ path, localPath, size }] with localPath relative to config.outputDir.
+   */
+  function collectLocalAssets() {
+    const manifestPath = getSyncManifestPath();
+    const manifest = config.syncManifest || (fs.existsSync(manifestPath) ? loadSyncManifest() : null);
+
+    if (manifest && Object.keys(manifest.assets).length > 0) {
+      return Object.entries(manifest.assets).map(([assetPath, entry]) => ({
+        path: assetPath,
+        localPath: entry.localPath,
+        size: entry.size || 0,
+        modified: entry.modified,
+        created: entry.created
+      }));
+    }
+
+    // Unreadable sidecars are not ours to judge
+    return readSidecars()
+      .filter(({ sidecar }) => sidecar?.asset?.path)
+      .map(({ filePath, sidecar }) => ({
+        path: sidecar.asset.path,
+        localPath: toOutputRelative(filePath),
+        size: sidecar.asset.size || 0,
+        modified: sidecar.properties?.modified,
+        created: sidecar.properties?.created
+      }));
+  }
+
+  /**
+   * Every .metadata.json sidecar under the output directory (renditions and .trash
+   * excluded) as { filePath, sidecarPath, sidecar }; filePath is the binary it
+   * describes and sidecar is null when the JSON cannot be read.
+   */
+  function readSidecars() {
+    const sidecars = [];
+    const walk = (dir) => {
+      for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          if (entry.name !== '.trash' && !entry.name.endsWith('.renditions')) walk(fullPath);
+        } else if (entry.name.endsWith('.metadata.json')) {
+          let sidecar = null;
+          try {
+            sidecar = JSON.parse(fs.readFileSync(fullPath, 'utf8'));
+          } catch (e) {
+            sidecar = null;
+          }
+          sidecars.push({ filePath: fullPath.slice(0, -'.metadata.json'.length), sidecarPath: fullPath, sidecar });
+        }
+      }
+    };
+
+    if (fs.existsSync(config.outputDir)) walk(config.outputDir);
+    return sidecars;
+  }
+
+  /**
+   * Compare the discovered assets with the local mirror and handle assets that
+   * no longer exist in the DAM according to config.orphanAction.
+   * Only local assets under the discovery root that pass the current filters
+   * (dates judged by their last synced values) are considered, so a --folder,
+   * --types or date-filtered run never flags the rest of the mirror.
+   */
+  function handleOrphans() {
+    const action = config.orphanAction;
+    const root = normalizeFolderPath(config.startPath);
+
+    const orphans = collectLocalAssets().filter(local =>
+      (local.path === root || local.path.startsWith(root + '/')) &&
+      !config.discoveredAssets.has(local.path) &&
+      !config.droppedAssets.has(local.path) &&
+      isValidAsset({
+        name: path.basename(local.path),
+        extension: path.extname(local.path).toLowerCase().slice(1) || 'unknown',
+        size: local.size,
+        modified: local.modified,
+        created: local.created
+      })
+    );
+
+    logger.log('\nORPHAN CHECK');
+    logger.log('='.repeat(60));
+
+    if (orphans.length === 0) {
+      logger.log('No local assets missing from the DAM');
+      return;
+    }
+
+    // A folder that failed to load looks exactly like deleted content; never prune on that basis
+    let effectiveAction = action;
+    const hookFailures = Array.from(config.droppedAssets.values()).filter(reason => reason === 'failed').length;
+    if (action !== 'list' && config.stats.failedFolders > 0) {
+      logger.log(`Warning: ${config.stats.failedFolders} folder(s) failed to load - listing orphans without ${action === 'trash' ? 'moving' : 'deleting'} them`);
+      effectiveAction = 'list';
+    } else if (action !== 'list' && hookFailures > 0) {
+      // Like a failed folder: this run did not get a complete picture of the DAM
+      logger.log(`Warning: assetDiscovered plugins failed on ${hookFailures} asset(s) - listing orphans without ${action === 'trash' ? 'moving' : 'deleting'} them`);
+      effectiveAction = 'list';
+    } else if (action !== 'list' && config.dateFilters.modifiedBefore) {
+      // An asset edited after the bound leaves the window, which also looks like a deletion
+      logger.log(`Warning: --modified-before cannot tell edited assets from deleted ones - listing orphans without ${action === 'trash' ? 'moving' : 'deleting'} them`);
+      effectiveAction = 'list';
+    }
+
+    const trashDir = path.join(config.outputDir, '.trash', new Date().toISOString().replace(/[:.]/g, '-'));
+
+    for (const orphan of orphans) {
+      const record = { path: orphan.path, localPath: orphan.localPath, action: 'listed' };
+      const filePath = path.join(config.outputDir, orphan.localPath);
+      const related = [filePath, `${filePath}.metadata.json`, `${filePath}.renditions`].filter(p => fs.existsSync(p));
+
+      try {
+        if (effectiveAction === 'trash') {
+          for (const source of related) {
+            const target = path.join(trashDir, path.relative(config.outputDir, source));
+            ensureDirectory(path.dirname(target));
+            fs.renameSync(source, target);
+          }
+          record.action = 'trashed';
+          record.trashPath = toOutputRelative(path.join(trashDir, orphan.localPath));
+        } else if (effectiveAction === 'delete') {
+          related.forEach(target => fs.rmSync(target, { recursive: true, force: true }));
+          record.action = 'deleted';
+        }
+
+        if (record.action !== 'listed' && config.syncManifest) {
+          delete config.syncManifest.assets[orphan.path];
+        }
+      } catch (error) {
+        record.action = 'failed';
+        record.error = error.message;
+      }
+
+      config.stats.orphans.push(record);
+      logger.log(`   ${record.action.toUpperCase()}: ${orphan.path} (${orphan.localPath})${record.error ? ` - ${record.error}` : ''}`);
+    }
+
+    logger.log(`${orphans.length} local asset(s) no longer exist in the DAM`);
+    if (effectiveAction === 'list') {
+      logger.log('   Use --orphans trash or --orphans delete to remove them from the mirror');
+    }
+  }
+
+  // ============================================
+  // DOWNLOAD VERIFICATION
+  // ============================================
+
+  /**
+   * Check what earlier runs left in the output directory, without contacting AEM:
+   * every sidecar's binary must exist with the recorded size and SHA-1, and every
+   * sync manifest entry must still have its file. Writes verify-report.json and
+   * returns { summary, problems }.
+   */
+  async function verifyDownloads() {
+    logger.log(`Verifying downloads in ${config.outputDir}`);
+    if (!fs.existsSync(config.outputDir)) {
+      throw new Error(`Output directory not found: ${config.outputDir}`);
+    }
+
+    const summary = { checked: 0, ok: 0, missing: 0, sizeMismatches: 0, checksumMismatches: 0, unreadable: 0, unverified: 0 };
+    const problems = [];
+    const problem = (counter, record) => {
+      summary[counter]++;
+      problems.push(record);
+      logger.log(`   ${record.problem.toUpperCase()}: ${record.path || record.localPath}${record.detail ? ` - ${record.detail}` : ''}`);
+    };
+
+    const checkedPaths = new Set();
+    for (const { filePath, sidecarPath, sidecar } of readSidecars()) {
+      summary.checked++;
+      const localPath = toOutputRelative(filePath);
+      if (!sidecar?.asset?.path) {
+        problem('unreadable', { problem: 'unreadable sidecar', localPath: toOutputRelative(sidecarPath) });
+        continue;
+      }
+
+      const assetPath = sidecar.asset.path;
+      checkedPaths.add(assetPath);
+      if (!fs.existsSync(filePath)) {
+        problem('missing', { problem: 'missing', path: assetPath, localPath });
+        continue;
+      }
+
+      const recorded = sidecar.download || {};
+      const size = fs.statSync(filePath).size;
+      if (typeof recorded.downloadedSize === 'number' && size !== recorded.downloadedSize) {
+        problem('sizeMismatches', {
+          problem: 'size mismatch', path: assetPath, localPath,
+          detail: `expected ${recorded.downloadedSize} bytes, found ${size}`
+        });
+        continue;
+      }
+
+      if (!recorded.sha1) {
+        summary.unverified++; // Sidecars from before checksums were recorded
+        summary.ok++;
+        continue;
+      }
+      const hash = crypto.createHash('sha1');
+      await hashExistingFile(filePath, hash);
+      const sha1 = hash.digest('hex');
+      if (sha1 !== recorded.sha1) {
+        problem('checksumMismatches', {
+          problem: 'checksum mismatch', path: assetPath, localPath,
+          detail: `expected sha1 ${recorded.sha1}, got ${sha1}`
+        });
+        continue;
+      }
+      summary.ok++;
+    }
+
+    // Downloads made with --no-metadata are only known from the sync manifest
+    if (fs.existsSync(getSyncManifestPath())) {
+      const manifest = loadSyncManifest();
+      Object.entries(manifest.assets).forEach(([assetPath, entry]) => {
+        if (checkedPaths.has(assetPath) || !entry.localPath) return;
+        summary.checked++;
+        if (fs.existsSync(path.join(config.outputDir, entry.localPath))) {
+          summary.unverified++;
+          summary.ok++;
+        } else {
+          problem('missing', { problem: 'missing', path: assetPath, localPath: entry.localPath });
+        }
+      });
+    }
+
+    const result = { summary: { ...summary, problems: problems.length, timestamp: new Date().toISOString() }, problems };
+    const reportPath = path.join(config.outputDir, 'verify-report.json');
+    writeFileAtomic(reportPath, JSON.stringify(result, null, 2));
+
+    logger.log(`\nChecked: ${summary.checked} | OK: ${summary.ok} | Missing: ${summary.missing} | ` +
+      `Size mismatches: ${summary.sizeMismatches} | Checksum mismatches: ${summary.checksumMismatches}` +
+      (summary.unreadable > 0 ? ` | Unreadable sidecars: ${summary.unreadable}` : ''));
+    if (summary.unverified > 0) {
+      logger.log(`${summary.unverified} file(s) present but without a recorded SHA-1 (not checksum-verified)`);
+    }
+    logger.log(`Verify report saved to: ${reportPath}`);
+
+    // Existing files are skipped by download, so damaged ones must go before they are fetched again
+    const damaged = problems.filter(record => record.path).map(record => record.path);
+    const pathsPath = path.join(config.outputDir, 'verify-paths.json');
+    if (damaged.length === 0 && fs.existsSync(pathsPath)) {
+      fs.unlinkSync(pathsPath); // Left by an earlier verify; nothing is damaged now
+    } else if (damaged.length > 0) {
+      writeFileAtomic(pathsPath, JSON.stringify({ assets: damaged }, null, 2));
+      logger.log(`Affected asset paths saved to: ${pathsPath}`);
+      logger.log(`   Delete the mismatched files, then download them again with: node aem.js download --query ${pathsPath}`);
+    }
+    return result;
+  }
+
+  // ============================================
+  // CHECKPOINT / RESUME
+  // ============================================
+
+  // The checkpoint is an append-only JSON Lines journal, so a 200k-asset crawl never
+  // rewrites or re-parses one huge document:
+  //   {"type":"asset"}  an asset discovered or queued for download
+  //   {"type":"done"}   an asset downloaded or skipped
+  //   {"type":"dropped"} an asset vetoed by (or failed in) an assetDiscovered plugin
+  //   {"type":"state"}  periodic snapshot: phase, settings, pending folder queue, stats,
+  //                     and the folders processed since the previous snapshot
+  // On resume the last snapshot wins; folders scanned after it are simply rescanned.
+
+  // Settings that decide what gets downloaded and where; restored on --resume
+  const CHECKPOINT_SETTINGS = [
+    'outputLayout', 'stripPrefix', 'collisionPolicy', 'fileTypes', 'minFileSize', 'maxFileSize',
+    'dateFilters', 'missingDates',
+    'downloadMetadata', 'downloadRenditions', 'testMode', 'testLimit', 'syncMode', 'orphanAction', 'startPath',
+    'discoveryBackend', 'queryPageSize', 'discoveryOffset',
+    'queryMode', 'queryFile', 'findMode', 'findDownloadMode', 'findMultipleMode', 'findStringMode',
+    'findPattern', 'findPatterns', 'whereConditions', 'whereFile', 'fulltextQuery',
+    'tagIds', 'includeChildTags', 'tagSelection'
+  ];
+
+  const getCheckpointPath = () => config.checkpointFile || path.join(config.outputDir, '.aem-checkpoint.jsonl');
+
+  function writeCheckpointLine(record) {
+    if (config.checkpoint.fd === null) return;
+    fs.writeSync(config.checkpoint.fd, JSON.stringify(record) + '\n');
+  }
+
+  /**
+   * Journal an asset (without its _raw debug payload) once per run
+   */
+  function checkpointAsset(assetInfo) {
+    if (config.checkpoint.journaled.has(assetInfo.path)) return;
+    config.checkpoint.journaled.add(assetInfo.path);
+
+    const { _raw, ...asset } = assetInfo;
+    writeCheckpointLine({ type: 'asset', asset });
+  }
+
+  /**
+   * Record an asset as finished so a resumed run does not queue it again
+   */
+  function checkpointDone(assetPath) {
+    config.completedDownloads.add(assetPath);
+    writeCheckpointLine({ type: 'done', path: assetPath });
+  }
+
+  /**
+   * Append a state snapshot to the checkpoint journal
+   */
+  function saveCheckpoint(phase = config.checkpoint.phase) {
+    if (config.checkpoint.fd === null || !phase) return;
+
+    // Folders still being scanned are saved as pending: their subfolders are not queued yet
+    const newPaths = [];
+    for (const folderPath of config.processedPaths) {
+      if (!config.checkpoint.savedPaths.has(folderPath) && !config.scanningPaths.has(folderPath)) {
+        config.checkpoint.savedPaths.add(folderPath);
+        newPaths.push(folderPath);
+      }
+    }
+
+    const settings = {};
+    CHECKPOINT_SETTINGS.forEach(key => { settings[key] = config[key]; });
+
+    const { startTime, ...stats } = config.stats;
 
-    // If it's a folder, add to queue for further searching
-    if (isFolder(primaryType)) {
-      if (!config.processedPaths.has(itemPath)) {
-        config.folderQueue.push(itemPath);
-      }
+    writeCheckpointLine({
+      type: 'state',
+      version: 1,
+      savedAt: new Date().toISOString(),
+      phase,
+      baseUrl: config.baseUrl,
+      settings,
+      folderQueue: [...config.scanningPaths, ...config.folderQueue],
+      processedPaths: newPaths,
+      stats
+    });
+
+    config.checkpoint.phase = phase;
+    config.checkpoint.lastSaved = Date.now();
+  }
 
-      // Also search nested data if present
-      const nestedMatches = await searchInDAMData(item, itemPath, pattern);
-      matches.push(...nestedMatches);
+  function maybeSaveCheckpoint(phase) {
+    if (Date.now() - config.checkpoint.lastSaved >= config.checkpointInterval) {
+      saveCheckpoint(phase);
+    } else {
+      config.checkpoint.phase = phase;
     }
   }
 
-  return matches;
-}
+  /**
+   * Read the checkpoint journal. Returns null when there is nothing to resume.
+   * A truncated last line (interrupted write) is ignored.
+   */
+  async function loadCheckpoint() {
+    const checkpointPath = getCheckpointPath();
+    if (!fs.existsSync(checkpointPath)) return null;
+
+    const lines = readline.createInterface({
+      input: fs.createReadStream(checkpointPath, 'utf8'),
+      crlfDelay: Infinity
+    });
 
-/**
- * Search through DAM data for multiple pattern matches
- */
-async function searchInDAMDataMultiple(data, basePath, patterns) {
-  if (!data || typeof data !== 'object') return [];
-
-  const matches = [];
-
-  for (const key in data) {
-    if (key.startsWith('jcr:') || key.startsWith(':') ||
-      key === 'rep:policy' || key === 'cq:conf') continue;
-
-    const item = data[key];
-    if (!item || typeof item !== 'object') continue;
-
-    const itemPath = item['jcr:path'] || `${basePath}/${key}`;
-    const primaryType = item['jcr:primaryType'];
-
-    // Check if it's an asset
-    if (isAsset(item, primaryType)) {
-      const assetInfo = extractAssetInfo(item, itemPath);
-      if (assetInfo) {
-        // Check against all patterns
-        for (const pattern of patterns) {
-          const matchResult = checkPatternMatch(assetInfo, pattern);
-          if (matchResult) {
-            assetInfo.matchReason = matchResult;
-            assetInfo.matchedPattern = pattern;
-            matches.push(assetInfo);
-            break; // Don't match the same asset multiple times
-          }
-        }
-      }
-    }
+    const checkpoint = { state: null, assets: new Map(), done: new Set(), dropped: new Map(), processedPaths: new Set() };
+
+    for await (const line of lines) {
+      if (!line.trim()) continue;
 
-    // If it's a folder, add to queue for further searching
-    if (isFolder(primaryType)) {
-      if (!config.processedPaths.has(itemPath)) {
-        config.folderQueue.push(itemPath);
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (e) {
+        continue;
       }
 
-      // Also search nested data if present
-      const nestedMatches = await searchInDAMDataMultiple(item, itemPath, patterns);
-      matches.push(...nestedMatches);
+      if (record.type === 'asset' && record.asset?.path) {
+        checkpoint.assets.set(record.asset.path, record.asset);
+      } else if (record.type === 'done') {
+        checkpoint.done.add(record.path);
+      } else if (record.type === 'dropped') {
+        checkpoint.dropped.set(record.path, record.reason);
+      } else if (record.type === 'state') {
+        checkpoint.state = record;
+        (record.processedPaths || []).forEach(p => checkpoint.processedPaths.add(p));
+      }
     }
+
+    return checkpoint.state ? checkpoint : null;
   }
 
-  return matches;
-}
+  /**
+   * Apply a loaded checkpoint to config. Returns the phase to resume.
+   */
+  function restoreCheckpoint(checkpoint) {
+    const { state } = checkpoint;
 
-/**
- * Check if an asset matches the search pattern
- */
-function checkPatternMatch(assetInfo, pattern) {
-  const checks = [
-    {
-      value: assetInfo.path.toLowerCase(),
-      reason: 'Full path match'
-    },
-    {
-      value: assetInfo.name.toLowerCase(),
-      reason: 'Filename match'
-    },
-    {
-      value: path.basename(assetInfo.path, path.extname(assetInfo.path)).toLowerCase(),
-      reason: 'Filename without extension match'
+    if (state.baseUrl !== config.baseUrl) {
+      throw new Error(`Checkpoint belongs to ${state.baseUrl}, not ${config.baseUrl}`);
     }
-  ];
 
-  // Add metadata checks if available
-  if (assetInfo.title) {
-    checks.push({
-      value: assetInfo.title.toLowerCase(),
-      reason: 'Title match'
+    Object.entries(state.settings || {}).forEach(([key, value]) => {
+      if (!CHECKPOINT_SETTINGS.includes(key)) return;
+      config[key] = value;
+      if (key in configSources) configSources[key] = 'checkpoint';
     });
-  }
 
-  if (assetInfo.description) {
-    checks.push({
-      value: assetInfo.description.toLowerCase(),
-      reason: 'Description match'
-    });
-  }
+    config.folderQueue = state.folderQueue || [];
+    config.processedPaths = checkpoint.processedPaths;
+    config.discoveredAssets = checkpoint.assets;
+    config.completedDownloads = checkpoint.done;
+    config.droppedAssets = checkpoint.dropped;
+
+    // Failed downloads are not in completedDownloads, so this run retries them; their
+    // old failures would otherwise be counted twice, or outlive a successful retry
+    const retried = (entry) => entry.asset && checkpoint.assets.has(entry.asset) && !checkpoint.done.has(entry.asset);
+    const errors = state.stats.errors || [];
+    const retriedFailures = errors.filter(retried).length;
+
+    config.stats = {
+      ...config.stats,
+      ...state.stats,
+      failedAssets: Math.max(0, (state.stats.failedAssets || 0) - retriedFailures),
+      errors: errors.filter(entry => !retried(entry)),
+      startTime: config.stats.startTime,
+      totalAssets: checkpoint.assets.size,
+      foldersScanned: checkpoint.processedPaths.size
+    };
 
-  if (assetInfo.keywords) {
-    checks.push({
-      value: String(assetInfo.keywords).toLowerCase(),
-      reason: 'Keywords match'
-    });
+    logger.log(`Resuming from checkpoint saved ${state.savedAt}`);
+    logger.log(`   Phase: ${state.phase}`);
+    logger.log(`   Assets known: ${checkpoint.assets.size} (${checkpoint.done.size} already completed)`);
+    if (state.phase === 'discovery') {
+      logger.log(`   Folders scanned: ${checkpoint.processedPaths.size}, pending: ${config.folderQueue.length}`);
+    }
+
+    return state.phase;
   }
 
-  // Check for matches
-  for (const check of checks) {
-    if (check.value.includes(pattern)) {
-      return check.reason;
+  /**
+   * Start journaling. Fresh runs truncate any old checkpoint; resumed runs compact
+   * the restored state into a new journal (temp file + rename) and keep appending.
+   */
+  function openCheckpoint(resumed) {
+    const checkpointPath = getCheckpointPath();
+    ensureDirectory(path.dirname(checkpointPath));
+
+    if (!resumed) {
+      config.checkpoint.fd = fs.openSync(checkpointPath, 'w');
+      return;
     }
+
+    const tempPath = getTempPath(checkpointPath);
+    config.checkpoint.fd = fs.openSync(tempPath, 'w');
+    config.checkpoint.journaled.clear();
+    config.checkpoint.savedPaths.clear();
+    config.discoveredAssets.forEach(checkpointAsset);
+    config.completedDownloads.forEach(assetPath => writeCheckpointLine({ type: 'done', path: assetPath }));
+    config.droppedAssets.forEach((reason, assetPath) => writeCheckpointLine({ type: 'dropped', path: assetPath, reason }));
+    saveCheckpoint();
+    fs.closeSync(config.checkpoint.fd);
+    fs.renameSync(tempPath, checkpointPath);
+    config.checkpoint.fd = fs.openSync(checkpointPath, 'a');
   }
 
-  // Check for partial path segments
-  const pathSegments = assetInfo.path.toLowerCase().split('/');
-  for (const segment of pathSegments) {
-    if (segment.includes(pattern)) {
-      return 'Path segment match';
+  /**
+   * Close the journal. It is removed after a clean run and kept when assets
+   * failed, so --resume can retry exactly those.
+   */
+  function closeCheckpoint(keep) {
+    if (config.checkpoint.fd === null) return;
+
+    fs.closeSync(config.checkpoint.fd);
+    config.checkpoint.fd = null;
+
+    if (keep && config.checkpoint.phase) {
+      logger.log(`\nCheckpoint kept: ${getCheckpointPath()}`);
+      logger.log('   Re-run with --resume to continue where this run stopped.');
+    } else if (fs.existsSync(getCheckpointPath())) {
+      fs.unlinkSync(getCheckpointPath());
     }
   }
 
-  return null;
-}
+  // ============================================
+  // REPORTING
+  // ============================================
 
-/**
- * Generate search results file
- */
-function saveSearchResults(pattern, foundAssets) {
-  if (foundAssets.length === 0) return;
-
-  const searchReport = {
-    search: {
-      pattern: pattern,
-      timestamp: new Date().toISOString(),
-      resultsCount: foundAssets.length,
-      baseUrl: config.baseUrl
-    },
-    results: foundAssets.map(asset => ({
-      path: asset.path,
-      name: asset.name,
-      size: asset.size,
-      sizeFormatted: formatBytes(asset.size || 0),
-      extension: asset.extension,
-      mimeType: asset.mimeType,
-      matchReason: asset.matchReason,
-      matchedPattern: asset.matchedPattern,
-      downloadUrl: `${config.baseUrl}${asset.path}`,
-      // Include key metadata if available
-      title: asset.title,
-      created: asset.created,
-      modified: asset.modified
-    }))
-  };
+  // { not_found: 12, network: 1, ... } for the report summary
+  function countErrorsByType() {
+    const counts = {};
+    config.stats.errors.forEach(e => {
+      const type = e.type || ERROR_TYPES.OTHER;
+      counts[type] = (counts[type] || 0) + 1;
+    });
+    return counts;
+  }
 
-  ensureDirectory(config.outputDir);
-  const reportPath = path.join(config.outputDir, `search-results-${Date.now()}.json`);
-  fs.writeFileSync(reportPath, JSON.stringify(searchReport, null, 2));
+  /**
+   * Write the run report, print the summary and return the report object
+   */
+  function generateReport() {
+    const duration = Date.now() - config.stats.startTime;
+    const durationMin = Math.floor(duration / 60000);
+    const durationSec = Math.floor((duration % 60000) / 1000);
+
+    let reportSuffix = 'download-report.json';
+    let status = 'Complete';
+    let mode = 'full';
+
+    if (config.queryMode) {
+      reportSuffix = 'query-report.json';
+      status = 'Query Complete';
+      mode = 'query';
+    } else if (config.findDownloadMode) {
+      reportSuffix = 'find-download-report.json';
+      status = 'Find & Download Complete';
+      mode = 'find-download';
+    } else if (config.testMode) {
+      reportSuffix = 'test-report.json';
+      status = 'Test Complete';
+      mode = 'test';
+    } else if (config.syncMode) {
+      reportSuffix = 'sync-report.json';
+      status = 'Sync Complete';
+      mode = 'sync';
+    }
 
-  console.log(`Search results saved to: ${reportPath}`);
+    const report = {
+      summary: {
+        status: status,
+        mode: mode,
+        queryMode: config.queryMode,
+        findMode: config.findMode,
+        findDownloadMode: config.findDownloadMode,
+        findMultipleMode: config.findMultipleMode,
+        testMode: config.testMode,
+        syncMode: config.syncMode,
+        queryFile: config.queryFile,
+        findPattern: config.findPattern,
+        findPatterns: config.findPatterns,
+        where: config.wherePredicate ? describeWhere(config.wherePredicate) : undefined,
+        dateWindow: hasDateFilters() ? { ...config.dateFilters, missingDates: config.missingDates } : undefined,
+        baseUrl: config.baseUrl,
+        outputDirectory: path.resolve(config.outputDir),
+        outputLayout: config.outputLayout,
+        foldersScanned: config.stats.foldersScanned,
+        totalAssetsFound: config.stats.totalAssets,
+        downloadedAssets: config.stats.downloadedAssets,
+        skippedAssets: config.stats.skippedAssets,
+        failedAssets: config.stats.failedAssets,
+        totalSize: formatBytes(config.stats.totalSize),
+        checksumMismatches: config.stats.checksumMismatches,
+        plugins: plugins.length > 0 ? plugins.map(({ name }) => name) : undefined,
+        vetoedAssets: config.stats.vetoedAssets,
+        collisions: config.stats.collisions.length,
+        collisionPolicy: config.collisionPolicy,
+        orphans: config.stats.orphans.length,
+        failedFolders: config.stats.failedFolders,
+        errorsByType: countErrorsByType(),
+        credentialRenewals: session.renewals,
+        throttling: {
+          ...config.stats.throttle,
+          paused: formatDuration(config.stats.throttle.pausedMs),
+          configuredRate: config.requestsPerSecond
+        },
+        duration: `${durationMin}m ${durationSec}s`,
+        timestamp: new Date().toISOString()
+      },
+      collisions: config.stats.collisions,
+      orphans: config.stats.orphans,
+      tags: config.tagSelection ? config.stats.tags : undefined,
+      errors: config.stats.errors
+    };
 
-  // Also create a simple paths-only file for easy query use
-  const pathsOnly = foundAssets.map(asset => asset.path);
-  const pathsPath = path.join(config.outputDir, `search-paths-${Date.now()}.json`);
-  fs.writeFileSync(pathsPath, JSON.stringify({ assets: pathsOnly }, null, 2));
+    if (config.syncMode) {
+      const { added, updated, unchanged } = config.stats.sync;
+      report.summary.sync = { added: added.length, updated: updated.length, unchanged: unchanged.length };
+      report.delta = config.stats.sync;
+    }
 
-  console.log(`Asset paths saved to: ${pathsPath}`);
-  console.log(`Use with: node aem.js --query ${path.basename(pathsPath)}`);
-}
+    const reportPath = path.join(config.outputDir, reportSuffix);
+    writeFileAtomic(reportPath, JSON.stringify(report, null, 2));
 
-// ============================================
-// INTELLIGENT DAM DISCOVERY
-// ============================================
+    logger.log("\n" + "=".repeat(60));
+    logger.log("DOWNLOAD COMPLETE");
+    logger.log("=".repeat(60));
 
-/**
- * Main discovery function - finds all assets in entire DAM
- */
-async function discoverAllAssets() {
-  console.log('\nStarting Intelligent DAM Discovery...\n');
-  console.log('='.repeat(60));
+    if (config.queryMode) {
+      logger.log(`Query File: ${config.queryFile}`);
+    }
+    if (config.findDownloadMode) {
+      const patterns = config.findMultipleMode ?
+        config.findPatterns.join(', ') :
+        config.findPattern;
+      if (patterns) logger.log(`Search Pattern(s): ${patterns}`);
+    }
+    if (!config.queryMode && !config.findDownloadMode) {
+      logger.log(`Folders Scanned: ${config.stats.foldersScanned}`);
+    }
+
+    logger.log(`Assets Found: ${config.stats.totalAssets}`);
+    logger.log(`Downloaded: ${config.stats.downloadedAssets} assets`);
+    logger.log(`Skipped: ${config.stats.skippedAssets} assets`);
+    logger.log(`Failed: ${config.stats.failedAssets} assets`);
+    if (config.stats.vetoedAssets > 0) {
+      logger.log(`Vetoed by plugins: ${config.stats.vetoedAssets} assets`);
+    }
+    logger.log(`Total Size: ${formatBytes(config.stats.totalSize)}`);
+    if (config.syncMode) {
+      const { added, updated, unchanged } = config.stats.sync;
+      logger.log(`Sync Delta: ${added.length} added, ${updated.length} updated, ${unchanged.length} unchanged`);
+    }
+    if (config.stats.collisions.length > 0) {
+      logger.log(`Filename Collisions: ${config.stats.collisions.length} (policy: ${config.collisionPolicy}, see report)`);
+    }
+    if (config.tagSelection) {
+      const tagCounts = Object.entries(config.stats.tags).filter(([, counts]) => counts.found > 0);
+      logger.log(`Tags: ${config.tagSelection.length} selected, ${tagCounts.length} with assets`);
+      tagCounts.slice(0, 10).forEach(([tagId, counts]) => {
+        logger.log(`   ${tagId}: ${counts.found} found, ${counts.downloaded} downloaded, ${counts.skipped} skipped, ${counts.failed} failed`);
+      });
+      if (tagCounts.length > 10) {
+        logger.log(`   ... and ${tagCounts.length - 10} more (see report)`);
+      }
+    }
+    const throttle = config.stats.throttle;
+    if (throttle.responses > 0) {
+      const byStatus = Object.entries(throttle.byStatus).map(([status, count]) => `${count}x ${status}`).join(', ');
+      logger.log(`Throttled: ${throttle.responses} responses (${byStatus}), paused ${formatDuration(throttle.pausedMs)} for Retry-After, lowest rate ${throttle.lowestRate.toFixed(1)} requests/s`);
+    }
+    if (session.renewals > 0) {
+      logger.log(`Credentials renewed mid-run: ${session.renewals} time(s)`);
+    }
+    if (config.stats.orphans.length > 0) {
+      const handled = config.stats.orphans.filter(o => o.action === 'trashed' || o.action === 'deleted').length;
+      logger.log(`Orphaned Assets: ${config.stats.orphans.length} (${handled} removed from the mirror, see report)`);
+    }
+    logger.log(`Duration: ${durationMin}m ${durationSec}s`);
+    logger.log(`Report: ${reportPath}`);
+
+    if (config.testMode) {
+      logger.log(`\nThis was a TEST RUN - limited to ${config.testLimit} assets`);
+      logger.log(`   Run without --limit to download all ${config.stats.totalAssets} assets`);
+    }
+    if (config.queryMode) {
+      logger.log(`\nThis was a QUERY-BASED download from: ${config.queryFile}`);
+    }
+    if (config.findDownloadMode) {
+      logger.log(`\nThis was a FIND & DOWNLOAD operation`);
+    }
+    if (config.syncMode) {
+      logger.log(`\nThis was an INCREMENTAL SYNC - manifest: ${getSyncManifestPath()}`);
+    }
+
+    logger.log("=".repeat(60));
+
+    if (config.stats.errors.length > 0) {
+      logger.log("\nFailed downloads:");
+      config.stats.errors.slice(0, 5).forEach(e => {
+        logger.log(`   - ${e.asset || 'run'}: [${e.type || ERROR_TYPES.OTHER}] ${e.error}`);
+      });
+      if (config.stats.errors.length > 5) {
+        logger.log(`   ... and ${config.stats.errors.length - 5} more (see report)`);
+      }
+    }
 
-  // If --folder pre-seeded the queue, respect it; otherwise scan the whole DAM.
-  if (config.folderQueue.length === 0) {
-    config.folderQueue.push('/content/dam');
+    return report;
   }
 
-  while (config.folderQueue.length > 0) {
-    const currentPath = config.folderQueue.shift();
+  // ============================================
+  // DOWNLOAD PLAN
+  // ============================================
 
-    // Skip if already processed
-    if (config.processedPaths.has(currentPath)) continue;
-    config.processedPaths.add(currentPath);
+  const PLAN_SAMPLE_COUNT = 3; // Assets fetched to measure throughput
+  const PLAN_SAMPLE_BYTES = 2 * 1024 * 1024; // Bytes read from each sample at most
+  const PLAN_LARGEST_COUNT = 20; // Assets listed under "largest"
 
-    await scanFolder(currentPath);
+  // Top-level folder of an asset below the run's folder (or /content/dam), for the per-folder breakdown
+  function getPlanFolder(assetPath) {
+    const root = [config.startPath, '/content/dam'].find(prefix => assetPath.startsWith(`${prefix}/`));
+    const segments = (root ? assetPath.slice(root.length) : assetPath).split('/').filter(Boolean);
+    return segments.length > 1 ? `${root || ''}/${segments[0]}` : (root || '/');
+  }
 
-    // In test mode, stop early if we have enough assets
-    if (config.testMode && config.stats.totalAssets >= config.testLimit) {
-      console.log(`\nTest mode: Stopping discovery after finding ${config.stats.totalAssets} assets`);
-      break;
+  // { key: { count, bytes, size } }, largest first
+  function summarizeBy(assets, keyOf) {
+    const groups = new Map();
+    assets.forEach(asset => {
+      const key = keyOf(asset) || 'unknown';
+      const group = groups.get(key) || { count: 0, bytes: 0 };
+      group.count++;
+      group.bytes += asset.size || 0;
+      groups.set(key, group);
+    });
+    return Object.fromEntries(Array.from(groups.entries())
+      .sort(([, a], [, b]) => b.bytes - a.bytes || b.count - a.count)
+      .map(([key, group]) => [key, { ...group, size: formatBytes(group.bytes) }]));
+  }
+
+  // Milliseconds since a process.hrtime.bigint() reading, to the microsecond
+  const elapsedMs = (since) => Math.round(Number(process.hrtime.bigint() - since) / 1000) / 1000;
+
+  /**
+   * Fetch the start of a few of the largest assets, the way downloadAsset does, and
+   * time them. Returns { candidates, samples, latencyMs, bytesPerSecond }; the last two
+   * are null when no sample could be fetched.
+   */
+  async function measureThroughput(assets) {
+    const candidates = assets.filter(asset => asset.size > 0)
+      .sort((a, b) => b.size - a.size)
+      .slice(0, PLAN_SAMPLE_COUNT);
+    const samples = [];
+
+    for (const asset of candidates) {
+      const url = `${config.baseUrl}${asset.path}`;
+      const startedAt = process.hrtime.bigint();
+      try {
+        const response = await makeRequestWithRetry(url, {
+          responseType: 'stream',
+          expectBinary: !['html', 'htm'].includes(asset.extension),
+          headers: { 'Range': `bytes=0-${PLAN_SAMPLE_BYTES - 1}` }
+        });
+        const latencyMs = elapsedMs(startedAt);
+        const firstByteAt = process.hrtime.bigint();
+        // Servers without range support send the whole binary; stop reading at the cap
+        const bytes = await new Promise((resolve) => {
+          let received = 0;
+          const done = () => resolve(Math.min(received, PLAN_SAMPLE_BYTES));
+          response.on('data', chunk => {
+            received += chunk.length;
+            if (received >= PLAN_SAMPLE_BYTES) {
+              response.destroy();
+              done();
+            }
+          });
+          response.on('end', done);
+          response.on('error', done);
+          response.on('close', done);
+        });
+        samples.push({ path: asset.path, bytes, latencyMs, transferMs: elapsedMs(firstByteAt) });
+      } catch (error) {
+        throwIfStopped();
+        logger.log(`   Could not sample ${asset.path}: ${error.message}`);
+      }
     }
 
-    // Adaptive delay
-    if (config.adaptiveDelay && config.stats.foldersScanned % 10 === 0) {
-      await sleep(config.sleepTime);
+    if (samples.length === 0) {
+      return { candidates: candidates.length, samples, latencyMs: null, bytesPerSecond: null };
     }
-  }
 
-  console.log('\n' + '='.repeat(60));
-  console.log(`Discovery Complete: Found ${config.stats.totalAssets} total assets`);
-  console.log(`Scanned ${config.stats.foldersScanned} folders`);
-  if (config.testMode) {
-    console.log(`TEST MODE: Limited to ${config.testLimit} assets`);
+    const bytes = samples.reduce((sum, sample) => sum + sample.bytes, 0);
+    const transferMs = samples.reduce((sum, sample) => sum + sample.transferMs, 0);
+    return {
+      candidates: candidates.length,
+      samples,
+      latencyMs: Math.round(samples.reduce((sum, sample) => sum + sample.latencyMs, 0) / samples.length),
+      bytesPerSecond: transferMs > 0 ? Math.round(bytes / transferMs * 1000) : null
+    };
   }
-  console.log('='.repeat(60) + '\n');
 
-  // In test mode, return only the first N assets
-  const allAssets = Array.from(config.discoveredAssets.values());
-  if (config.testMode) {
-    return allAssets.slice(0, config.testLimit);
+  // Why a plan has no measured transfer rate
+  function describeMissingThroughput(throughput) {
+    if (throughput.candidates === 0) return 'no asset has a known size to sample';
+    if (throughput.samples.length === 0) return `all ${throughput.candidates} sample requests failed`;
+    return 'the samples arrived too fast to time';
   }
-  return allAssets;
-}
 
-/**
- * Scan a single folder for assets and subfolders
- */
-async function scanFolder(folderPath, depth = 0) {
-  if (depth > config.maxDepth) return;
+  /**
+   * Time the download would take: each asset costs a round trip, the configured sleep and
+   * its bytes at the measured rate, spread over the workers, but never faster than the
+   * request rate allows. Assets of unknown size and renditions are not counted.
+   */
+  function estimateDuration(assetCount, totalBytes, throughput) {
+    const workers = Math.min(config.maxConcurrent, assetCount);
+    const perAssetMs = (throughput?.latencyMs || 0) + config.sleepTime;
+    const transferMs = throughput?.bytesPerSecond ? totalBytes / throughput.bytesPerSecond * 1000 : 0;
+    const workerMs = (assetCount * perAssetMs + transferMs) / workers;
+    const rateMs = assetCount / config.requestsPerSecond * 1000;
+    return Math.round(Math.max(workerMs, rateMs));
+  }
 
-  config.stats.foldersScanned++;
+  // How the run picked its assets, for the plan header
+  function describePlanSelection() {
+    return {
+      folder: config.startPath,
+      patterns: config.findPatterns.length > 0 ? config.findPatterns : (config.findPattern ? [config.findPattern] : undefined),
+      where: config.wherePredicate ? describeWhere(config.wherePredicate) : undefined,
+      fulltext: config.fulltextQuery || undefined,
+      tags: config.tagIds.length > 0 ? config.tagIds : undefined,
+      queryFile: config.queryFile || undefined,
+      fileTypes: config.fileTypes.length > 0 ? config.fileTypes : undefined,
+      minFileSize: config.minFileSize || undefined,
+      maxFileSize: config.maxFileSize,
+      dateWindow: hasDateFilters() ? { ...config.dateFilters, missingDates: config.missingDates } : undefined,
+      limit: config.testMode ? config.testLimit : undefined
+    };
+  }
 
-  // Try different JSON depths to find the best one
-  const jsonDepths = config.smartDepthDetection
-    ? ['.1.json', '.json', '.2.json', '.3.json', '.4.json', '.5.json']
-    : ['.1.json', '.json'];
+  /**
+   * Write plan-<timestamp>.json for the assets a run selected and print its summary.
+   * The file's `assets` list makes it a query file: download --query <plan> fetches
+   * exactly those assets. A sync plan leaves out assets the manifest shows unchanged.
+   * Returns the plan object.
+   */
+  async function writePlan(assets) {
+    logger.log('\nPLANNING DOWNLOAD');
+    logger.log('='.repeat(60));
+
+    let unchanged = 0;
+    if (config.syncMode) {
+      // Claim local paths in download order, so renamed collisions compare against the right file
+      const isUnchanged = (asset) => {
+        try {
+          return classifySyncAsset(asset, resolveOutputPath(asset).outputPath).status === 'unchanged';
+        } catch (error) {
+          return false; // Collision under the 'fail' policy: the run will try (and fail) it
+        }
+      };
+      const pending = assets.filter(asset => !isUnchanged(asset));
+      unchanged = assets.length - pending.length;
+      assets = pending;
+    }
 
-  let bestData = null;
-  let bestDepth = null;
-  let maxItems = 0;
-  const errors = [];
+    const totalBytes = assets.reduce((sum, asset) => sum + (asset.size || 0), 0);
+    const unknownSize = assets.filter(asset => !(asset.size > 0)).map(asset => asset.path);
 
-  for (const jsonDepth of jsonDepths) {
-    try {
-      const url = `${config.baseUrl}${folderPath}${jsonDepth}`;
-      const data = await makeRequestWithRetry(url);
+    let throughput = null;
+    let estimatedMs = 0;
+    if (assets.length > 0) {
+      logger.log(`Measuring throughput on up to ${PLAN_SAMPLE_COUNT} assets...`);
+      throughput = await measureThroughput(assets);
+      estimatedMs = estimateDuration(assets.length, totalBytes, throughput);
+    }
 
-      if (data && typeof data === 'object') {
-        const itemCount = Object.keys(data).filter(k => !k.startsWith('jcr:') && !k.startsWith(':')).length;
+    let mode = 'full';
+    if (config.syncMode) mode = 'sync';
+    else if (config.queryMode) mode = 'query';
+    else if (config.findMode || config.findMultipleMode || config.findStringMode) mode = 'search';
+
+    const plan = {
+      plan: {
+        createdAt: new Date().toISOString(),
+        baseUrl: config.baseUrl,
+        outputDir: config.outputDir,
+        mode,
+        selection: describePlanSelection()
+      },
+      summary: {
+        assets: assets.length,
+        totalBytes,
+        totalSize: formatBytes(totalBytes),
+        unknownSizeAssets: unknownSize.length,
+        unchangedAssets: config.syncMode ? unchanged : undefined,
+        estimatedDuration: formatDuration(estimatedMs),
+        estimatedDurationMs: estimatedMs
+      },
+      estimate: {
+        bytesPerSecond: throughput?.bytesPerSecond ?? null,
+        throughput: throughput?.bytesPerSecond ? `${formatBytes(throughput.bytesPerSecond)}/s` : null,
+        notMeasured: throughput && !throughput.bytesPerSecond ? describeMissingThroughput(throughput) : undefined,
+        latencyMs: throughput?.latencyMs ?? null,
+        maxConcurrent: config.maxConcurrent,
+        requestsPerSecond: config.requestsPerSecond,
+        sleepTime: config.sleepTime,
+        excludes: ['assets of unknown size', ...(config.downloadRenditions ? ['renditions'] : [])],
+        samples: throughput?.samples || []
+      },
+      byExtension: summarizeBy(assets, asset => asset.extension),
+      byMimeType: summarizeBy(assets, asset => asset.mimeType),
+      byFolder: summarizeBy(assets, asset => getPlanFolder(asset.path)),
+      largest: assets.filter(asset => asset.size > 0)
+        .sort((a, b) => b.size - a.size)
+        .slice(0, PLAN_LARGEST_COUNT)
+        .map(asset => ({ path: asset.path, size: asset.size, sizeFormatted: formatBytes(asset.size) })),
+      unknownSize,
+      assets: assets.map(asset => asset.path)
+    };
 
-        // Use the depth that returns the most items
-        if (itemCount > maxItems) {
-          maxItems = itemCount;
-          bestData = data;
-          bestDepth = jsonDepth;
+    ensureDirectory(config.outputDir);
+    const planPath = path.join(config.outputDir, `plan-${Date.now()}.json`);
+    writeFileAtomic(planPath, JSON.stringify(plan, null, 2));
 
-          // If we get a lot of items, don't try deeper
-          if (itemCount > 50) break;
-        }
+    logger.log(`\nAssets: ${assets.length}${config.syncMode ? ` (${unchanged} unchanged since the last sync)` : ''}`);
+    logger.log(`Total size: ${formatBytes(totalBytes)}${unknownSize.length > 0 ? ` + ${unknownSize.length} assets of unknown size` : ''}`);
+    if (assets.length > 0) {
+      if (throughput.bytesPerSecond) {
+        logger.log(`Throughput: ${plan.estimate.throughput}, ${throughput.latencyMs}ms to first byte (${throughput.samples.length} samples)`);
+      } else {
+        logger.log(`Throughput: not measured (${describeMissingThroughput(throughput)}) - the estimate covers requests only`);
       }
-    } catch (error) {
-      errors.push(`${jsonDepth}: ${error.message}`);
+      logger.log(`Estimated duration: ${plan.summary.estimatedDuration} with ${config.maxConcurrent} concurrent downloads`);
+
+      const printTop = (title, groups) => {
+        const entries = Object.entries(groups);
+        logger.log(`\n${title}:`);
+        entries.slice(0, 5).forEach(([key, group]) => {
+          logger.log(`   ${key}: ${group.count} assets, ${group.size}`);
+        });
+        if (entries.length > 5) logger.log(`   ... and ${entries.length - 5} more`);
+      };
+      printTop('By extension', plan.byExtension);
+      printTop('By folder', plan.byFolder);
     }
-  }
 
-  if (!bestData) {
-    console.log(`Warning: could not load ${folderPath} (all depths failed)`);
-    if (errors.length) console.log(`   ${errors.join('; ')}`);
-    return;
+    logger.log(`\nPlan saved to: ${planPath}`);
+    if (assets.length > 0) {
+      logger.log(`Run it with: node aem.js ${config.syncMode ? 'sync' : 'download'} --query ${planPath}`);
+    }
+    return plan;
   }
 
-  console.log(`Scanning: ${folderPath} (depth: ${depth}, format: ${bestDepth}, items: ${maxItems})`);
+  // ============================================
+  // RUNNING CALLS
+  // ============================================
+
+  /**
+   * Validate the settings, authenticate and load the plugins (once per downloader),
+   * then check the credential and test the connection (every call)
+   */
+  async function connect() {
+    if (!session.active) {
+      validateConfig();
+      validateConnectionSettings();
+      setupAuth();
+      plugins = loadPlugins();
+    }
+    logger.log(`Authentication: ${config.authMethod}`);
+    if (plugins.length > 0) {
+      logger.log(`Plugins: ${plugins.map(({ name }) => name).join(', ')}`);
+    }
 
-  // Process the data
-  await processDAMData(bestData, folderPath, depth);
-}
+    await checkCredentialExpiry();
 
-/**
- * Process DAM JSON data to extract assets and folders
- */
-async function processDAMData(data, basePath, currentDepth) {
-  if (!data || typeof data !== 'object') return;
+    logger.log('\nTesting connection...');
+    try {
+      await makeRequestWithRetry(`${config.baseUrl}/content/dam.json`);
+    } catch (error) {
+      throwIfStopped();
+      throw new RequestError(classifyError(error), `Connection failed: ${error.message}`, { status: error.status, connectionTest: true });
+    }
+    logger.log('Connection successful!\n');
+    session.active = true;
+  }
+
+  /**
+   * One discover/find/download/sync call, driven by the mode flags runCall() set.
+   * Resolves with { assets, report }; report is null for calls that do not download
+   * (discover, find without download) and when no assets were found.
+   */
+  async function runJob() {
+    if (config.findMode) {
+      config.wherePredicate = loadWherePredicate();
+    }
+    if (config.queryMode && !config.queryAssets) {
+      config.queryAssets = loadQueryFile(config.queryFile);
+    }
 
-  let localAssets = 0;
-  let localFolders = 0;
+    await connect();
 
-  for (const key in data) {
-    // Skip system properties
-    if (key.startsWith('jcr:') || key.startsWith(':') ||
-      key === 'rep:policy' || key === 'cq:conf') continue;
+    // Create output directory
+    ensureDirectory(config.outputDir);
 
-    const item = data[key];
-    if (!item || typeof item !== 'object') continue;
+    const staleTempFiles = cleanupStaleTempFiles(config.outputDir);
+    if (staleTempFiles > 0) {
+      logger.log(`Removed ${staleTempFiles} stale temp file(s) from an interrupted run`);
+    }
 
-    const itemPath = item['jcr:path'] || `${basePath}/${key}`;
-    const primaryType = item['jcr:primaryType'];
+    let resumePhase = null;
+    if (config.resumeMode) {
+      const checkpoint = await loadCheckpoint();
+      if (checkpoint) {
+        resumePhase = restoreCheckpoint(checkpoint);
+      } else {
+        logger.log(`No checkpoint found at ${getCheckpointPath()} - starting a fresh run`);
+      }
+    }
+    openCheckpoint(resumePhase !== null);
 
-    // Check if it's an asset
-    if (isAsset(item, primaryType)) {
-      const assetInfo = extractAssetInfo(item, itemPath);
-      if (assetInfo && isValidAsset(assetInfo)) {
-        config.discoveredAssets.set(itemPath, assetInfo);
-        config.stats.totalAssets++;
-        localAssets++;
+    if (config.syncMode) {
+      config.orphanAction = config.orphanAction || 'list';
+      config.syncManifest = loadSyncManifest();
+      logger.log(`Sync manifest: ${Object.keys(config.syncManifest.assets).length} assets from previous syncs`);
+    }
 
-        // In test mode, stop if we have enough
-        if (config.testMode && config.stats.totalAssets >= config.testLimit) {
-          console.log(`   Test limit reached (${config.testLimit} assets)`);
-          return;
-        }
+    // A resumed run restores the resolved selection from the checkpoint
+    if (config.tagIds.length > 0 && !config.tagSelection) {
+      try {
+        await resolveTagSelection();
+      } catch (error) {
+        closeCheckpoint(false);
+        throw error;
       }
     }
 
-    // Check if it's a folder
-    if (isFolder(primaryType)) {
-      // Add to queue for processing (unless in test mode and we have enough)
-      if (!config.processedPaths.has(itemPath) && currentDepth < config.maxDepth) {
-        if (!config.testMode || config.stats.totalAssets < config.testLimit) {
-          config.folderQueue.push(itemPath);
-          localFolders++;
+    // Save config (without sensitive data)
+    const configCopy = {
+      ...config,
+      ...getRedactedSecrets(),
+      configSources: describeConfigSources(),
+      queryAssets: undefined,
+      processedPaths: undefined,
+      scanningPaths: undefined,
+      downloadPipeline: undefined,
+      claimedOutputPaths: undefined,
+      completedDownloads: undefined,
+      droppedAssets: undefined,
+      checkpoint: undefined,
+      syncManifest: undefined,
+      discoveredAssets: undefined
+    };
+
+    let configSuffix = 'config.json';
+    if (config.planMode) configSuffix = 'planning-config.json';
+    else if (config.queryMode) configSuffix = 'query-config.json';
+    else if (config.findDownloadMode) configSuffix = 'find-download-config.json';
+    else if (config.testMode) configSuffix = 'test-config.json';
+    else if (config.syncMode) configSuffix = 'sync-config.json';
+
+    writeFileAtomic(
+      path.join(config.outputDir, configSuffix),
+      JSON.stringify(configCopy, null, 2)
+    );
+
+    let assets = [];
+    try {
+      let streamed = false; // Discovery runs download as they go (see discoverAndDownload)
+
+      if (resumePhase === 'download') {
+        // Discovery or search already finished: continue with what is left of the download list
+        assets = Array.from(config.discoveredAssets.values())
+          .filter(asset => !config.completedDownloads.has(asset.path));
+        logger.log(`\nResuming download: ${assets.length} assets remaining`);
+      } else if (resumePhase === 'discovery') {
+        logger.log('\nPHASE 1: RESUMING DISCOVERY (downloads start as assets are found)');
+        logger.log('='.repeat(60));
+        // Assets found before the interruption but not downloaded yet go first
+        const pending = Array.from(config.discoveredAssets.values())
+          .filter(asset => !config.completedDownloads.has(asset.path));
+        assets = await discoverAndDownload(pending);
+        streamed = true;
+      } else if (config.findMode || config.findMultipleMode || config.findStringMode) {
+        // Find mode: search for assets matching pattern(s)
+        let foundAssets;
+
+        if (config.findStringMode) {
+          foundAssets = await findFromString(config.findPattern);
+        } else if (config.findMultipleMode) {
+          foundAssets = await findMultipleAssets(config.findPatterns);
+        } else {
+          foundAssets = await findAssets(config.findPattern);
+        }
+        foundAssets = await acceptDiscoveredAssets(foundAssets);
+        foundAssets.forEach(asset => emitEvent('asset', asset));
+
+        // Searches that do not download end here; the caller decides what to do with the results
+        if (foundAssets.length === 0 || !(config.findDownloadMode || config.planMode)) {
+          closeCheckpoint(false);
+          return { assets: foundAssets, report: null };
+        }
+
+        // Convert found assets to download array and proceed with download
+        logger.log(`\nFound ${foundAssets.length} assets. ${config.planMode ? 'Planning the download' : 'Proceeding with download'}...`);
+        assets = foundAssets;
+        countTaggedAssets(foundAssets);
+
+        // Update stats for consistency
+        config.stats.totalAssets = foundAssets.length;
+      } else if (config.queryMode) {
+        // Query-based mode: the query file, or the assets handed to download()
+        assets = await resolveQueryAssets(config.queryAssets);
+      } else if (config.discoverOnly || config.planMode) {
+        assets = await discoverAssets();
+        if (!config.planMode) {
+          closeCheckpoint(false);
+          return { assets, report: null };
         }
+      } else {
+        // Discovery mode: scan DAM
+        logger.log('\nPHASE 1: DISCOVERING ASSETS (downloads start as assets are found)');
+        logger.log('='.repeat(60));
+        assets = await discoverAndDownload();
+        streamed = true;
+      }
+
+      // Nothing below may act on the partial results of a stopped call
+      throwIfStopped();
+
+      if (config.planMode) {
+        // Search and query results are cut to the limit at download time (see downloadAllAssets)
+        if (config.testMode) assets = assets.slice(0, config.testLimit);
+        const plan = assets.length > 0 ? await writePlan(assets) : null;
+        closeCheckpoint(false);
+        return { assets, report: null, plan };
+      }
+
+      // Only a complete discovery pass can prove an asset is gone; search and query results are partial
+      const discoveryRun = !config.queryMode && !config.findMode;
+      if (config.orphanAction && discoveryRun && !config.testMode) {
+        handleOrphans();
+      }
+
+      if (assets.length === 0) {
+        closeCheckpoint(false);
+        return { assets, report: null };
+      }
+
+      if (!streamed) {
+        // Phase 2: Download assets
+        logger.log(`\nPHASE 2: DOWNLOADING ASSETS`);
+        logger.log('='.repeat(60));
+        await downloadAllAssets(assets);
       }
 
-      // Also recursively process nested data if present
-      if (currentDepth < 2 && (!config.testMode || config.stats.totalAssets < config.testLimit)) {
-        await processDAMData(item, itemPath, currentDepth + 1);
+    } catch (error) {
+      // A stopped call has already saved its checkpoint and report (see stopRun)
+      throwIfStopped();
+      // A plan that cannot be completed is not worth a download report
+      if (config.planMode) {
+        closeCheckpoint(false);
+        throw error;
+      }
+      logger.error('\nFatal error:', error);
+      config.stats.errors.push({ type: classifyError(error), error: error.message });
+    }
+
+    // Generate final report
+    saveSyncManifest();
+    const report = generateReport();
+    closeCheckpoint(config.stats.failedAssets > 0 || config.stats.errors.length > 0);
+    await runCompleteHooks(report);
+    return { assets, report };
+  }
+
+  /**
+   * Stop the running call with everything needed for resume on disk: checkpoint,
+   * sync manifest and report are written and pooled connections dropped. The call
+   * rejects with `error`, which is returned for the caller to throw; its requests
+   * and pauses are aborted, so the work still in flight unwinds.
+   */
+  function stopRun(error) {
+    const call = currentCall;
+
+    if (call && !call.stopped) {
+      call.stopped = Object.assign(error, { stopped: true });
+      if (config.checkpoint.fd !== null) {
+        saveCheckpoint();
+        saveSyncManifest();
+        generateReport();
+        closeCheckpoint(true);
       }
+      closeConnections();
+      call.controller.abort();
+      currentCall = null;
+      call.reject(error);
+    }
+    return error;
+  }
+
+  /**
+   * Run one API call: the run keys start from their defaults with `flags` applied, and
+   * stop() can end it. After a stop, the next call waits until the stopped call's work
+   * has unwound, so that work never sees the new call's settings.
+   */
+  function runCall(flags, task) {
+    if (currentCall) {
+      return Promise.reject(new Error('This downloader is already running a call; use another AemDownloader to work in parallel'));
     }
+
+    const controller = new AbortController();
+    const call = { controller, signal: controller.signal, stopped: null, reject: null };
+    currentCall = call;
+    return new Promise((resolve, reject) => {
+      call.reject = reject;
+      const work = unwinding.then(() => {
+        if (call.stopped) throw call.stopped;
+        activeCall = call;
+        const defaults = createDefaultConfig();
+        RUN_KEYS.forEach(key => { config[key] = defaults[key]; });
+        Object.assign(config, flags);
+        return task();
+      });
+      unwinding = work.catch(() => {});
+      work.then(resolve, reject);
+    }).finally(() => {
+      if (currentCall === call) currentCall = null;
+    });
   }
 
-  if (localAssets > 0 || localFolders > 0) {
-    console.log(`   Found: ${localAssets} assets, ${localFolders} subfolders`);
+  // Close pooled keep-alive connections
+  function closeConnections() {
+    Object.keys(httpAgents).forEach(key => {
+      httpAgents[key].destroy();
+      delete httpAgents[key];
+    });
   }
+
+  return {
+    config,
+    applyConfigLayers,
+    setSetting: (key, value, source) => setConfigValue(findSetting(key), value, source),
+    validateConfig,
+    connect,
+    runJob,
+    runCall,
+    stopRun,
+    verifyDownloads,
+    closeConnections,
+    supplyCredential: (credential) => { suppliedCredential = credential; },
+    loadWherePredicate,
+    describeWhere,
+    hasDateFilters,
+    describeDateWindow,
+    saveSearchResults
+  };
 }
 
-/**
- * Check if an item is an asset
- */
-function isAsset(item, primaryType) {
-  // Multiple ways to detect an asset
-  if (primaryType === 'dam:Asset') return true;
-  if (primaryType === 'dam:AssetContent') return true;
-  if (item['jcr:content'] && item['jcr:content']['renditions']) return true;
-  if (item['jcr:content'] && item['jcr:content']['metadata']) {
-    const metadata = item['jcr:content']['metadata'];
-    if (metadata['dam:size'] || metadata['dc:format']) return true;
-  }
-  return false;
+// ============================================
+// DOWNLOADER API
+// ============================================
+
+// { resume, limit, sync, plan } options shared by the API calls
+function getRunFlags(options = {}) {
+  if (options.limit !== undefined && (!Number.isInteger(options.limit) || options.limit < 1)) {
+    throw new Error(`limit must be a whole number >= 1 (got ${options.limit})`);
+  }
+  if (options.plan && options.resume) {
+    throw new Error('plan cannot be combined with resume (a plan downloads nothing to resume)');
+  }
+  return {
+    resumeMode: Boolean(options.resume),
+    testMode: options.limit !== undefined,
+    testLimit: options.limit || 10,
+    syncMode: Boolean(options.sync),
+    planMode: Boolean(options.plan)
+  };
 }
 
+const SEARCH_KEYS = ['pattern', 'patterns', 'text', 'where', 'whereFile', 'fulltext', 'tags', 'includeChildTags', 'maxResults'];
+
 /**
- * Check if an item is a folder
+ * find() query -> the config fields that run a search (patterns, where, fulltext, tags).
+ * A string is one pattern, an array is several; an object may combine any of SEARCH_KEYS.
  */
-function isFolder(primaryType) {
-  return primaryType === 'sling:Folder' ||
-    primaryType === 'sling:OrderedFolder' ||
-    primaryType === 'nt:folder' ||
-    primaryType === 'cq:Page' ||
-    primaryType === 'sling:Folder/nt:folder';
+function getSearchFlags(query) {
+  const spec = typeof query === 'string' ? { pattern: query }
+    : Array.isArray(query) ? { patterns: query } : (query || {});
+  const unknown = Object.keys(spec).filter(key => !SEARCH_KEYS.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown search option "${unknown[0]}" (use ${SEARCH_KEYS.join(', ')})`);
+  }
+
+  const flags = {
+    findMode: true,
+    findPattern: spec.text || spec.pattern || null,
+    findStringMode: Boolean(spec.text),
+    findMultipleMode: Boolean(spec.patterns),
+    findPatterns: [].concat(spec.patterns || []).map(p => String(p).trim()).filter(Boolean),
+    whereConditions: [].concat(spec.where || []),
+    whereFile: spec.whereFile || null,
+    fulltextQuery: spec.fulltext || null,
+    tagIds: [].concat(spec.tags || []).flatMap(tag => String(tag).split(',')).map(tag => tag.trim()).filter(Boolean),
+    includeChildTags: Boolean(spec.includeChildTags),
+    maxResults: spec.maxResults === undefined ? 0 : spec.maxResults
+  };
+
+  if (!flags.findPattern && flags.findPatterns.length === 0 && flags.whereConditions.length === 0 &&
+    !flags.whereFile && !flags.fulltextQuery && flags.tagIds.length === 0) {
+    throw new Error(`find() needs a search: one of ${SEARCH_KEYS.slice(0, -2).join(', ')}`);
+  }
+  if (flags.includeChildTags && flags.tagIds.length === 0) {
+    throw new Error('includeChildTags requires tags');
+  }
+  if (!Number.isInteger(flags.maxResults) || flags.maxResults < 0) {
+    throw new Error(`maxResults must be a whole number >= 0 (got ${flags.maxResults})`);
+  }
+  return flags;
 }
 
+// Each AemDownloader's runtime (see createRuntime), for the class and the command line
+const runtimes = new WeakMap();
+
 /**
- * Extract comprehensive asset information
+ * Library entry point. Each downloader has its own settings, connections, rate limit
+ * and credentials, so several can work against different AEM servers in one process.
+ *
+ *   const { AemDownloader } = require('./aem');
+ *   const aem = new AemDownloader({ baseUrl: 'https://author.example.com', cookie, outputDir: './dam' });
+ *   aem.on('downloaded', asset => console.log(asset.path));
+ *   const report = await aem.download();
+ *
+ * Options are any setting from CONFIG_SETTINGS, by name or env name, plus:
+ *   logger       { log, warn, error } for progress output (default: silent)
+ *   configFile   JSON config file to layer under the options; profile: a named profile in it
+ *   env          Environment to read settings from (e.g. process.env; default: none)
+ *   dateFilters  { modifiedSince, modifiedBefore, createdSince, createdBefore }
+ *   envFile      .env file to read settings from (below the profile), and to re-read
+ *                for fresh credentials when the session expires
+ *   interactive  Ask for fresh credentials on the terminal
+ *
+ * Events: asset (discovered or found), downloaded, skipped, failed (asset, error),
+ * progress, credentialsExpired (answer with setCredentials()).
  */
-function extractAssetInfo(assetNode, assetPath) {
-  try {
-    // Multiple possible locations for metadata
-    const jcrContent = assetNode['jcr:content'] || assetNode;
+class AemDownloader extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    const { logger, configFile, profile, env, dateFilters, envFile, interactive, ...settings } = options;
+    const runtime = createRuntime(this, { logger, envFile, interactive });
+    runtimes.set(this, runtime);
+
+    runtime.applyConfigLayers({ configFile, profile, env, options: settings });
+    Object.entries(dateFilters || {}).forEach(([key, value]) => {
+      if (!DATE_FILTERS.some(filter => filter.key === key)) {
+        throw new Error(`Unknown date filter "${key}" (use ${DATE_FILTERS.map(filter => filter.key).join(', ')})`);
+      }
+      runtime.config.dateFilters[key] = value ? parseDateValue(value) : null;
+    });
+  }
 
-    // Try different metadata locations
-    const metadata = jcrContent['metadata'] ||
-      jcrContent['jcr:content']?.metadata ||
-      assetNode['metadata'] ||
-      {};
+  // Authenticate and request /content/dam.json; resolves true or rejects with the reason
+  testConnection() {
+    const runtime = runtimes.get(this);
+    return runtime.runCall({}, async () => {
+      await runtime.connect();
+      return true;
+    });
+  }
 
-    // Merge all metadata from different sources
-    const allMetadata = {};
+  // Every asset under the startPath setting, without downloading. Options: { limit }
+  discover(options = {}) {
+    const runtime = runtimes.get(this);
+    return runtime.runCall({ ...getRunFlags(options), discoverOnly: true }, async () => (await runtime.runJob()).assets);
+  }
 
-    // Get metadata from main node
-    Object.keys(assetNode).forEach(key => {
-      if (!key.startsWith('jcr:') && key !== 'jcr:content' && typeof assetNode[key] !== 'object') {
-        allMetadata[key] = assetNode[key];
-      }
+  /**
+   * Search by name pattern(s), metadata conditions, full text or tags (see getSearchFlags).
+   * Resolves with the matching assets, with the report when options.download is set, or
+   * with the plan when options.plan is set.
+   * Options: { download, plan, limit, sync, resume }
+   */
+  find(query, options = {}) {
+    const runtime = runtimes.get(this);
+    const flags = { ...getRunFlags(options), ...getSearchFlags(query), findDownloadMode: Boolean(options.download) };
+    return runtime.runCall(flags, async () => {
+      const { assets, report, plan } = await runtime.runJob();
+      if (options.plan) return plan || null;
+      return options.download ? report : assets;
     });
+  }
 
-    // Get metadata from jcr:content
-    if (jcrContent && jcrContent !== assetNode) {
-      Object.keys(jcrContent).forEach(key => {
-        if (!key.startsWith('jcr:') && key !== 'metadata' && key !== 'renditions' && typeof jcrContent[key] !== 'object') {
-          allMetadata[key] = jcrContent[key];
-        }
-      });
+  /**
+   * Download `assets` (asset objects from discover()/find() or DAM paths), the paths in
+   * options.queryFile, or - with neither - everything under startPath as discovery finds it.
+   * Resolves with the report (null when there was nothing to download). With options.plan
+   * nothing is downloaded and it resolves with the plan instead (see writePlan).
+   * Options: { queryFile, plan, limit, sync, resume }
+   */
+  download(assets, options = {}) {
+    const runtime = runtimes.get(this);
+    const flags = getRunFlags(options);
+    if (assets || options.queryFile) {
+      Object.assign(flags, { queryMode: true, queryAssets: assets || null, queryFile: options.queryFile || null });
     }
-
-    // Get metadata from metadata node
-    Object.keys(metadata).forEach(key => {
-      allMetadata[key] = metadata[key];
+    return runtime.runCall(flags, async () => {
+      const { report, plan } = await runtime.runJob();
+      return options.plan ? plan : report;
     });
+  }
 
-    // Get renditions
-    const renditions = jcrContent['renditions'] ||
-      assetNode['renditions'] ||
-      {};
-
-    const name = path.basename(assetPath);
-    const extension = path.extname(name).toLowerCase().slice(1) || 'unknown';
+  // Incremental download: only new or changed assets (see download() for the options)
+  sync(options = {}) {
+    return this.download(null, { ...options, sync: true });
+  }
 
-    // Build download URL
-    const downloadPath = assetPath.startsWith('/') ? assetPath : '/' + assetPath;
+  /**
+   * Check the files earlier runs downloaded against their sidecars and the sync manifest
+   * (no connection needed). Resolves with { summary, problems }, also saved as verify-report.json.
+   */
+  verify() {
+    const runtime = runtimes.get(this);
+    return runtime.runCall({}, () => runtime.verifyDownloads());
+  }
 
-    // Extract all possible metadata fields
-    const assetInfo = {
-      path: downloadPath,
-      name: name,
-      extension: extension,
-      mimeType: allMetadata['dc:format'] ||
-        jcrContent['jcr:mimeType'] ||
-        allMetadata['jcr:mimeType'] ||
-        getMimeType(extension),
-      size: parseInt(allMetadata['dam:size']) ||
-        parseInt(jcrContent['dam:size']) ||
-        parseInt(allMetadata['dam:Filedata.sizeOnDisk']) ||
-        0,
-
-      // Image metadata
-      width: allMetadata['tiff:ImageWidth'] ||
-        allMetadata['exif:PixelXDimension'] ||
-        allMetadata['dam:Physicalwidthininches'],
-      height: allMetadata['tiff:ImageLength'] ||
-        allMetadata['exif:PixelYDimension'] ||
-        allMetadata['dam:Physicalheightininches'],
-
-      // Dates
-      created: assetNode['jcr:created'] ||
-        jcrContent['jcr:created'] ||
-        allMetadata['xmp:CreateDate'],
-      modified: jcrContent['jcr:lastModified'] ||
-        allMetadata['jcr:lastModified'] ||
-        allMetadata['xmp:ModifyDate'],
-
-      // Content metadata
-      title: allMetadata['dc:title'] ||
-        allMetadata['jcr:title'] ||
-        name,
-      description: allMetadata['dc:description'] ||
-        allMetadata['jcr:description'],
-      keywords: allMetadata['dc:subject'] ||
-        allMetadata['pdf:Keywords'],
-      creator: allMetadata['dc:creator'] ||
-        allMetadata['xmp:CreatorTool'],
-
-      // Additional metadata
-      copyright: allMetadata['dc:rights'] ||
-        allMetadata['xmpRights:WebStatement'],
-      tags: allMetadata['cq:tags'],
-      lastModifiedBy: allMetadata['jcr:lastModifiedBy'] ||
-        jcrContent['jcr:lastModifiedBy'],
-
-      // Renditions
-      renditions: Object.keys(renditions).filter(r =>
-        !r.includes('jcr:') && !r.includes('cq5dam.thumbnail')
-      ),
-
-      // Full metadata object
-      metadata: allMetadata,
-
-      // Raw data for debugging
-      _raw: {
-        assetNode: assetNode,
-        jcrContent: jcrContent
-      }
-    };
+  // Stop the running call; it rejects after saving its checkpoint, so the same call
+  // with { resume: true } continues where it stopped
+  stop(reason = 'Stopped') {
+    runtimes.get(this).stopRun(new Error(reason));
+  }
 
-    // Remove undefined values
-    Object.keys(assetInfo).forEach(key => {
-      if (assetInfo[key] === undefined && key !== '_raw') {
-        delete assetInfo[key];
-      }
-    });
+  // Fresh { cookie }, { username, password } or { bearerToken } for a renewal in progress
+  setCredentials(credential) {
+    runtimes.get(this).supplyCredential(credential);
+  }
 
-    return assetInfo;
-  } catch (error) {
-    console.log(`   Error extracting metadata for ${assetPath}: ${error.message}`);
-    return null;
+  // Close pooled keep-alive connections
+  close() {
+    runtimes.get(this).closeConnections();
   }
 }
 
-/**
- * Validate if an asset should be downloaded
- */
-function isValidAsset(assetInfo) {
-  // Check file size limits
-  if (config.minFileSize > 0 && assetInfo.size < config.minFileSize) return false;
-  if (config.maxFileSize > 0 && assetInfo.size > config.maxFileSize) return false;
+module.exports = { AemDownloader, RequestError, ERROR_TYPES };
 
-  // Check file type filter
-  if (config.fileTypes.length > 0 && !config.fileTypes.includes(assetInfo.extension)) {
-    return false;
+// ============================================
+// MAIN EXECUTION
+// ============================================
+
+// Startup banner for the command line
+function printBanner(runtime, cli) {
+  const { config, loadWherePredicate, describeWhere, hasDateFilters, describeDateWindow } = runtime;
+  console.log("=".repeat(60));
+  console.log("AEM UNIVERSAL DYNAMIC ASSET DOWNLOADER v3.3");
+
+  const multiple = cli.patterns.length > 1;
+  if (cli.command === 'search') {
+    if (cli.download && cli.tags.length > 0) {
+      console.log("TAG MODE - Download assets by tag");
+    } else if (cli.download && multiple) {
+      console.log("FIND MULTIPLE & DOWNLOAD MODE - Search multiple patterns and download");
+    } else if (cli.download) {
+      console.log("FIND & DOWNLOAD MODE - Search and download assets");
+    } else if (multiple) {
+      console.log("FIND MULTIPLE MODE - Search multiple patterns");
+    } else {
+      console.log("FIND MODE - Searching for assets");
+    }
+  } else if (cli.command === 'discover') {
+    console.log("DISCOVER MODE - Listing assets without downloading");
+  } else if (cli.queryFile) {
+    console.log("QUERY MODE - Downloading specific assets");
+  }
+  if (cli.plan) {
+    console.log("PLAN MODE - Nothing is downloaded; writes a plan file with size and time estimates");
+  }
+  if (cli.limit) {
+    const verb = cli.command === 'discover' ? 'list' : (cli.plan ? 'plan' : 'download');
+    console.log(`TEST MODE - Will ${verb} only ${cli.limit} assets`);
+  }
+  if (cli.sync) {
+    console.log("SYNC MODE - Downloading only new or changed assets");
+  }
+
+  console.log("=".repeat(60));
+  console.log(`Server: ${config.baseUrl}`);
+  console.log(`Output: ${config.outputDir}`);
+  if (config.profile) {
+    console.log(`Profile: ${config.profile} (${config.configFile})`);
+  } else if (config.configFile) {
+    console.log(`Config file: ${config.configFile}`);
+  }
+  if (config.outputLayout === 'tree') {
+    console.log(`Layout: tree (relative to ${config.stripPrefix})`);
+  }
+
+  if (cli.queryFile) {
+    console.log(`Query File: ${cli.queryFile}`);
+  }
+  if (cli.patterns.length === 1) {
+    console.log(`Search Pattern: ${cli.patterns[0]}`);
+  } else if (multiple) {
+    console.log(`Search Patterns: ${cli.patterns.join(', ')}`);
+  }
+  const wherePredicate = loadWherePredicate(cli.where, cli.whereFile);
+  if (wherePredicate) {
+    console.log(`Where: ${describeWhere(wherePredicate)}`);
   }
-
-  // Skip patterns
-  const lowerName = assetInfo.name.toLowerCase();
-  if (config.skipPatterns.some(pattern => lowerName.includes(pattern))) {
-    return false;
+  if (hasDateFilters()) {
+    console.log(`Date window: ${describeDateWindow()} (undated assets: ${config.missingDates})`);
+  }
+  if (cli.tags.length > 0) {
+    console.log(`Tags: ${cli.tags.join(', ')}${cli.includeChildTags ? ' (with child tags)' : ''}`);
   }
 
-  return true;
+  console.log("=".repeat(60));
 }
 
-/**
- * Get MIME type from extension
- */
-function getMimeType(ext) {
-  const mimes = {
-    jpg: 'image/jpeg', jpeg: 'image/jpeg', png: 'image/png', gif: 'image/gif',
-    svg: 'image/svg+xml', webp: 'image/webp', bmp: 'image/bmp', ico: 'image/x-icon',
-    pdf: 'application/pdf', mp4: 'video/mp4', mov: 'video/quicktime', avi: 'video/x-msvideo',
-    doc: 'application/msword', docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-    xls: 'application/vnd.ms-excel', xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-    ppt: 'application/vnd.ms-powerpoint', pptx: 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
-    zip: 'application/zip', txt: 'text/plain', html: 'text/html', css: 'text/css',
-    js: 'application/javascript', json: 'application/json', xml: 'text/xml'
+// The find() query the search command describes
+function getCliSearch(cli) {
+  return {
+    pattern: cli.patterns.length === 1 ? cli.patterns[0] : undefined,
+    patterns: cli.patterns.length > 1 ? cli.patterns : undefined,
+    where: cli.where,
+    whereFile: cli.whereFile || undefined,
+    fulltext: cli.fulltext || undefined,
+    tags: cli.tags,
+    includeChildTags: cli.includeChildTags,
+    maxResults: cli.maxResults
   };
-  return mimes[ext] || 'application/octet-stream';
 }
 
-// ============================================
-// DOWNLOAD FUNCTIONS
-// ============================================
-
-/**
- * Download all discovered assets
- */
-async function downloadAllAssets(assets) {
-  if (assets.length === 0) {
-    console.log('\nNo assets to download');
-    return;
+function logNoMatches(runtime, cli) {
+  const { config, describeWhere } = runtime;
+  let patternText;
+  if (cli.patterns.length > 1) {
+    patternText = `patterns: ${cli.patterns.map(p => `"${p}"`).join(', ')}`;
+  } else if (cli.patterns.length === 1) {
+    patternText = `pattern: "${cli.patterns[0]}"`;
+  } else if (cli.fulltext) {
+    patternText = `full-text: "${cli.fulltext}"`;
+  } else if (config.tagSelection) {
+    patternText = `tags: ${config.tagSelection.map(tag => tag.id).join(', ')}`;
+  } else {
+    patternText = `conditions: ${describeWhere(config.wherePredicate)}`;
   }
+  console.log(`\nNo assets found matching ${patternText}`);
+}
 
-  const downloadCount = config.testMode ? Math.min(assets.length, config.testLimit) : assets.length;
-  console.log(`\nStarting download of ${downloadCount} assets...`);
-  if (config.testMode) {
-    console.log(`TEST MODE: Downloading only first ${config.testLimit} assets\n`);
-  }
-  if (config.queryMode) {
-    console.log(`QUERY MODE: Downloading specific assets from query file\n`);
+function logNoAssets(cli) {
+  console.log('\nNo assets found');
+  if (cli.queryFile) {
+    console.log('\nPossible reasons:');
+    console.log('- Query file might be empty or invalid');
+    console.log('- Asset paths in query file might not exist');
+    console.log('- Credentials might not have sufficient permissions');
+  } else {
+    console.log('\nPossible reasons:');
+    console.log('- DAM might be empty');
+    console.log('- Credentials might not have sufficient permissions');
+    console.log('- Different DAM structure than expected');
   }
-  if (config.findDownloadMode) {
-    console.log(`FIND & DOWNLOAD MODE: Searching and downloading assets\n`);
+}
+
+// The command line: a banner, the downloader call for the command, and console output
+async function main(downloader, cli) {
+  const runtime = runtimes.get(downloader);
+  const logNothingFound = () => (cli.command === 'search' ? logNoMatches(runtime, cli) : logNoAssets(cli));
+  if (cli.command !== 'test' && cli.command !== 'verify') {
+    printBanner(runtime, cli);
   }
-  console.log('='.repeat(60));
 
-  const queue = config.testMode ? assets.slice(0, config.testLimit) : [...assets];
-  const inProgress = [];
-  let lastProgressUpdate = Date.now();
+  downloader.on('progress', (progress) => {
+    if (progress.phase !== 'download') return; // Discovery logs its own progress
+    const done = progress.final
+      ? `${Math.round((progress.completed / Math.max(progress.queued, 1)) * 100)}%`
+      : `${progress.completed}/${progress.queued} found so far`;
+    process.stdout.write(`\rProgress: ${done} | Downloaded: ${progress.downloaded} | Skipped: ${progress.skipped} | Failed: ${progress.failed} | Size: ${formatBytes(progress.bytes)}`);
+  });
 
-  while (queue.length > 0 || inProgress.length > 0) {
-    // Start new downloads
-    while (inProgress.length < config.maxConcurrent && queue.length > 0) {
-      const asset = queue.shift();
-      const promise = downloadAsset(asset).then(() => {
-        const index = inProgress.indexOf(promise);
-        if (index > -1) inProgress.splice(index, 1);
-      });
-      inProgress.push(promise);
-    }
+  const options = { resume: cli.resume, sync: cli.sync, limit: cli.limit || undefined };
 
-    // Wait for at least one to complete
-    if (inProgress.length > 0) {
-      await Promise.race(inProgress);
+  try {
+    if (cli.command === 'test') {
+      await downloader.testConnection();
+      return;
     }
 
-    // Update progress
-    const now = Date.now();
-    if (now - lastProgressUpdate > 1000) {
-      const completed = config.stats.downloadedAssets + config.stats.skippedAssets + config.stats.failedAssets;
-      const progress = Math.round((completed / downloadCount) * 100);
-      process.stdout.write(`\rProgress: ${progress}% | Downloaded: ${config.stats.downloadedAssets} | Skipped: ${config.stats.skippedAssets} | Failed: ${config.stats.failedAssets} | Size: ${formatBytes(config.stats.totalSize)}`);
-      lastProgressUpdate = now;
+    if (cli.command === 'verify') {
+      const result = await downloader.verify();
+      if (result.problems.length > 0) process.exit(1);
+      return;
     }
 
-    // Small delay between batches
-    if (queue.length > 0 && inProgress.length === config.maxConcurrent) {
-      await sleep(config.sleepTime);
+    if (cli.command === 'discover') {
+      const assets = await downloader.discover({ limit: options.limit });
+      if (assets.length === 0) return logNoAssets(cli);
+
+      console.log(`\nDiscovered ${assets.length} assets under ${runtime.config.startPath}`);
+      runtime.saveSearchResults(null, assets, 'discover');
+      return;
     }
-  }
 
-  console.log('\n' + '='.repeat(60) + '\n');
-}
+    if (cli.plan) {
+      const plan = cli.command === 'search'
+        ? await downloader.find(getCliSearch(cli), { ...options, plan: true })
+        : await downloader.download(null, { ...options, queryFile: cli.queryFile || undefined, plan: true });
+      if (!plan) logNothingFound();
+      return;
+    }
 
-/**
- * Download a single asset with multiple URL attempts
- */
-async function downloadAsset(assetInfo) {
-  try {
-    // Flat output: every asset lands directly under config.outputDir, by filename only.
-    // (DAM hierarchy is preserved in the metadata.json sidecar, not the on-disk path.)
-    const outputDir = config.outputDir;
-    ensureDirectory(outputDir);
+    if (cli.command === 'search' && !cli.download) {
+      // Save search results only (original find behavior)
+      const foundAssets = await downloader.find(getCliSearch(cli), options);
+      if (foundAssets.length === 0) return logNoMatches(runtime, cli);
 
-    const outputPath = path.join(outputDir, assetInfo.name);
+      runtime.saveSearchResults(cli.patterns.join(',') || null, foundAssets);
 
-    // Check if already exists
-    if (fs.existsSync(outputPath)) {
-      const existingSize = fs.statSync(outputPath).size;
+      // Ask user if they want to download the found assets
+      console.log(`\nFound ${foundAssets.length} assets. Do you want to download them?`);
+      console.log('   Run download --query with the generated paths file to download them.');
+      console.log('   Or add --download to search and download in one step.');
+      return;
+    }
 
-      // If we know the expected size, verify it
-      if (assetInfo.size > 0 && Math.abs(existingSize - assetInfo.size) < 1000) {
-        config.stats.skippedAssets++;
-        return true;
-      }
+    const report = cli.command === 'search'
+      ? await downloader.find(getCliSearch(cli), { ...options, download: true })
+      : await downloader.download(null, { ...options, queryFile: cli.queryFile || undefined });
 
-      // If file has content, skip
-      if (existingSize > 100) {
-        config.stats.skippedAssets++;
-        return true;
-      }
+    if (!report) logNothingFound();
+  } catch (error) {
+    if (error.connectionTest) {
+      console.error(error.message);
+      console.log('\nPossible issues:');
+      console.log('- Credentials might be expired');
+      console.log('- Base URL might be incorrect');
+      console.log('- No access to DAM');
+    } else if (!error.stopped) { // A stopped run has already reported why and saved its checkpoint
+      console.error(`\nERROR: ${error.message}`);
     }
+    process.exit(1);
+  }
+}
 
-    // Try different URL patterns
-    const urlPatterns = [
-      `${config.baseUrl}${assetInfo.path}`,
-      `${config.baseUrl}${assetInfo.path}/jcr:content/renditions/original`,
-      `${config.baseUrl}${assetInfo.path}/_jcr_content/renditions/original`,
-      `${config.baseUrl}/content/dam${assetInfo.path}`,
-      `${config.baseUrl}${assetInfo.path}?dl=true`
-    ];
+// ============================================
+// COMMAND LINE
+// ============================================
 
-    let downloaded = false;
-    let lastError = null;
-    let usedUrl = null;
+// Option groups, in the order command help lists them
+const CLI_GROUPS = {
+  search: 'Search',
+  selection: 'Selecting assets',
+  query: 'Query file',
+  plan: 'Planning',
+  sync: 'Incremental sync',
+  run: 'Resume',
+  output: 'Output',
+  orphans: 'Orphans',
+  plugins: 'Plugins',
+  connection: 'Connection',
+  config: 'Configuration'
+};
 
-    for (const url of urlPatterns) {
-      try {
-        const response = await makeRequestWithRetry(url, { responseType: 'stream' });
-
-        await new Promise((resolve, reject) => {
-          const writer = fs.createWriteStream(outputPath);
-          response.pipe(writer);
-          writer.on('finish', resolve);
-          writer.on('error', reject);
-          response.on('error', reject);
-        });
+// Each command accepts the options of its groups; `args` describes its positional arguments
+const CLI_COMMANDS = {
+  discover: {
+    summary: 'List every asset under --folder without downloading it',
+    groups: ['selection', 'plugins', 'connection', 'config'],
+    details: [
+      'Saves discover-results-<time>.json and discover-paths-<time>.json in the output directory;',
+      'download the paths later with: node aem.js download --query <paths file>'
+    ],
+    examples: ['node aem.js discover --folder /content/dam/my-project --types pdf']
+  },
+  search: {
+    summary: 'Find assets by name pattern, metadata, full text or tag',
+    args: '[pattern...]',
+    groups: ['search', 'selection', 'plan', 'sync', 'run', 'output', 'plugins', 'connection', 'config'],
+    details: [
+      'Patterns match file names, paths and asset IDs. Several patterns (separate arguments or',
+      'comma-separated) find assets matching any of them; --where, --fulltext and --tag narrow',
+      'or replace them. Results are saved to search-results-<time>.json and',
+      'search-paths-<time>.json unless --download downloads them right away.'
+    ],
+    examples: [
+      'node aem.js search icon2-returns.png',
+      'node aem.js search icon2 perks logo --download',
+      'node aem.js search --where "mime=application/pdf" --where "status=approved"',
+      'node aem.js search --where "mime=image/*" --modified-since 30d --download',
+      'node aem.js search --fulltext "annual report 2024"',
+      'node aem.js search --tag brand:campaign/2024 --include-child-tags --download',
+      'node aem.js search --where "mime=video/*" --plan'
+    ]
+  },
+  download: {
+    summary: 'Download the whole DAM (or --folder), or the assets in a --query file',
+    groups: ['selection', 'query', 'plan', 'sync', 'run', 'output', 'orphans', 'plugins', 'connection', 'config'],
+    details: [
+      'Discovery and downloads run side by side: downloads start as soon as assets are found.',
+      'node aem.js without a command runs download.'
+    ],
+    examples: [
+      'node aem.js download --limit 10',
+      'node aem.js download --folder /content/dam/my-project --types jpg,png --max-size 500MB',
+      'node aem.js download --query assets.json',
+      'node aem.js download --plan --folder /content/dam/my-project',
+      'node aem.js download --resume'
+    ]
+  },
+  sync: {
+    summary: 'Download only the assets that are new or changed since the last sync',
+    groups: ['selection', 'query', 'plan', 'run', 'output', 'orphans', 'plugins', 'connection', 'config'],
+    details: [
+      'Changes are tracked by jcr:lastModified and size in <output>/.sync-manifest.json.',
+      'Local assets that no longer exist in the DAM are listed (see --orphans).'
+    ],
+    examples: [
+      'node aem.js sync --layout tree',
+      'node aem.js sync --folder /content/dam/my-project --orphans trash',
+      'node aem.js sync --plan'
+    ]
+  },
+  verify: {
+    summary: 'Check downloaded files against their sidecars: present, same size, same SHA-1',
+    groups: ['config'],
+    details: [
+      'Needs no connection. Writes <output>/verify-report.json and exits with status 1',
+      'when a file is missing or does not match.'
+    ],
+    examples: ['node aem.js verify --output ./dam-downloads']
+  },
+  test: {
+    summary: 'Test the connection and credentials',
+    groups: ['connection', 'config'],
+    examples: ['node aem.js test', 'node aem.js test --auth basic --proxy http://proxy.example.com:3128']
+  }
+};
 
-        const downloadedSize = fs.statSync(outputPath).size;
-        if (downloadedSize > 0) {
-          config.stats.downloadedAssets++;
-          config.stats.totalSize += downloadedSize;
-          downloaded = true;
-          usedUrl = url;
-          console.log(`\nDownloaded: ${assetInfo.name} (${formatBytes(downloadedSize)})`);
-          break;
-        }
+const setCliSetting = (runtime, key, value, option) => runtime.setSetting(key, value, `cli:${option.name}`);
+
+/**
+ * Every option, by group. An option with `value` takes one (--name value or --name=value),
+ * the others are switches. How it is applied:
+ *   setting  the CONFIG_SETTINGS key it sets (validated, and credited to the flag in config.json)
+ *   field    the field of the parsed command line it sets (`integer` options are checked against `min`)
+ *   apply    (value, cli, option, runtime) for anything else
+ * repeat: may be given more than once (the values are collected); early: read before the
+ * downloader is created.
+ */
+const CLI_OPTIONS = [
+  {
+    name: '--where', group: 'search', value: '<condition>', field: 'where', repeat: true,
+    help: [
+      'Select assets by metadata (repeatable, conditions are ANDed)',
+      'field=value  field!=value  field~text  field>date  field<=number  field',
+      'a || b for either; comma-separated values match any; * is a wildcard',
+      'Quotes keep a comma or || in a value, e.g. title="Hello, world"; \\, is a literal comma',
+      'Fields: mime, tag, status, title, size, modified, created,',
+      'or any metadata property (dam:status) or relative path'
+    ]
+  },
+  { name: '--where-file', group: 'search', value: '<file>', field: 'whereFile', help: 'JSON predicate tree, e.g. {"and": ["mime=image/*", {"or": [...]}]}' },
+  {
+    name: '--fulltext', group: 'search', value: '<text>', field: 'fulltext',
+    help: ['Search asset text and metadata (titles, descriptions, PDF contents),', 'best match first; results include rank and excerpt']
+  },
+  {
+    name: '--tag', group: 'search', value: '<tagID>', repeat: true,
+    apply: (values, cli) => { cli.tags = values.flatMap(tags => tags.split(',')).map(tag => tag.trim()).filter(Boolean); },
+    help: ['Assets carrying the tag (repeatable or comma-separated)', 'Accepts tag IDs (namespace:path) or /content/cq:tags paths']
+  },
+  { name: '--include-child-tags', group: 'search', field: 'includeChildTags', help: 'Also select all descendants of the --tag tags' },
+  { name: '--max-results', group: 'search', value: '<n>', field: 'maxResults', integer: true, min: 0, help: 'Stop after N results per pattern (default: all hits)' },
+  { name: '--download', group: 'search', field: 'download', help: 'Download the results instead of saving them to a file' },
+
+  {
+    name: '--folder', group: 'selection', value: '<path>',
+    apply: (value, cli, option, runtime) => {
+      const normalized = normalizeFolderPath(value);
+      if (normalized !== value) {
+        console.log(`Normalized folder path: "${value}" -> "${normalized}"`);
+      }
+      setCliSetting(runtime, 'startPath', normalized, option);
+    },
+    help: 'Start from a specific folder (default: /content/dam)'
+  },
+  { name: '--types', group: 'selection', value: '<list>', setting: 'fileTypes', help: 'Only these file types (comma-separated), e.g. jpg,png,pdf' },
+  { name: '--min-size', group: 'selection', value: '<size>', setting: 'minFileSize', help: 'Skip assets smaller than this, e.g. 10KB' },
+  { name: '--max-size', group: 'selection', value: '<size>', setting: 'maxFileSize', help: 'Skip assets larger than this, e.g. 500MB (default: 5000000000 bytes)' },
+  ...DATE_FILTERS.map((filter, index) => ({
+    name: filter.flag, group: 'selection', value: '<date>',
+    apply: (value, cli, option, { config }) => {
+      try {
+        config.dateFilters[filter.key] = parseDateValue(value);
       } catch (error) {
-        lastError = error;
-        if (fs.existsSync(outputPath) && fs.statSync(outputPath).size === 0) {
-          fs.unlinkSync(outputPath);
-        }
+        throw new Error(`${filter.flag}: ${error.message}`);
       }
-    }
+    },
+    help: [
+      `Only assets ${filter.field} ${filter.op === '>=' ? 'on/after' : 'before'} the date`,
+      ...(index === DATE_FILTERS.length - 1 ? [
+        'Dates: 2024-01-31, 2024-01-31T12:00:00Z, today, yesterday,',
+        'or an age: 12h, 30d, 2w, 6m (months), 1y',
+        'Checked locally by discover/download, sent to QueryBuilder by search'
+      ] : [])
+    ]
+  })),
+  { name: '--missing-dates', group: 'selection', value: '<policy>', setting: 'missingDates', help: 'Assets without the filtered date: exclude (default) or include' },
+  {
+    name: '--discovery', group: 'selection', value: '<backend>', setting: 'discoveryBackend',
+    help: [
+      'How discovery lists assets',
+      'crawl (default): walk folders with .N.json requests',
+      'query: page through /bin/querybuilder.json (faster on deep DAMs)'
+    ]
+  },
+  { name: '--discovery-workers', group: 'selection', value: '<n>', setting: 'discoveryConcurrency', help: 'Folders the crawl scans in parallel (default: 4)' },
+  { name: '--page-size', group: 'selection', value: '<n>', setting: 'queryPageSize', help: 'QueryBuilder results per request (default: 500)' },
+  { name: '--limit', group: 'selection', value: '<n>', field: 'limit', integer: true, min: 1, help: 'Only download (or list) N assets, e.g. for a test run' },
+
+  { name: '--query', group: 'query', value: '<file>', field: 'queryFile', help: 'Download the assets listed in a file (see Query File Format in --help)' },
+
+  {
+    name: '--plan', group: 'plan', field: 'plan',
+    help: [
+      'Download nothing; write <output>/plan-<time>.json with the asset',
+      'count, total size, breakdowns by type and folder, the largest',
+      'assets and an estimated duration (from measured throughput)',
+      'Download exactly that list later with --query <plan file>'
+    ]
+  },
+
+  { name: '--sync', group: 'sync', field: 'sync', help: 'Download only new or changed assets (tracked in <output>/.sync-manifest.json)' },
+
+  { name: '--resume', group: 'run', field: 'resume', help: 'Continue an interrupted run from its checkpoint (pending folders and downloads)' },
+  {
+    name: '--checkpoint', group: 'run', value: '<file>',
+    apply: (value, cli, option, { config }) => { config.checkpointFile = value; },
+    help: 'Checkpoint file (default: <output>/.aem-checkpoint.jsonl)'
+  },
+
+  {
+    name: '--layout', group: 'output', value: '<mode>', setting: 'outputLayout',
+    help: ['flat (default) or tree', 'tree mirrors the DAM folder hierarchy under the output directory']
+  },
+  { name: '--strip-prefix', group: 'output', value: '<path>', setting: 'stripPrefix', help: 'DAM path removed before mirroring in tree layout (default: /content/dam)' },
+  { name: '--strip-folder', group: 'output', apply: (value, cli, option, { config }) => { config.stripFolderPrefix = true; }, help: 'Use the --folder path as the strip prefix' },
+  {
+    name: '--on-collision', group: 'output', value: '<policy>', setting: 'collisionPolicy',
+    help: [
+      'What to do when two DAM paths map to the same local file',
+      'counter (default): logo.png -> logo-1.png',
+      'hash: logo.png -> logo-<8 hex chars of the DAM path hash>.png',
+      'overwrite: last asset wins',
+      'fail: record the asset as failed'
+    ]
+  },
+  { name: '--no-metadata', group: 'output', setting: 'downloadMetadata', set: false, help: 'Skip saving metadata sidecars' },
+  { name: '--no-renditions', group: 'output', setting: 'downloadRenditions', set: false, help: 'Skip downloading renditions' },
+
+  {
+    name: '--orphans', group: 'orphans', value: '<action>', setting: 'orphanAction',
+    help: [
+      'Handle local assets that no longer exist in the DAM (full discovery runs only,',
+      'compared against the sync manifest or sidecars)',
+      'list: report them (default for sync)',
+      'trash: move them to <output>/.trash/<timestamp>/',
+      'delete: remove them with their sidecars and renditions'
+    ]
+  },
+
+  {
+    name: '--plugin', group: 'plugins', value: '<module>', setting: 'plugins', repeat: true,
+    help: 'Load a plugin with lifecycle hooks (repeatable; replaces the config file\'s plugins)'
+  },
+
+  {
+    name: '--auth', group: 'connection', value: '<method>', setting: 'authMethod',
+    help: ['cookie, basic, bearer or service', '(default: the first of service, bearer, basic, cookie that is configured)']
+  },
+  { name: '--cookie-file', group: 'connection', value: '<file>', setting: 'cookieFile', help: 'Read the cookie from a file, and re-read it if the session expires mid-run' },
+  {
+    name: '--credential-timeout', group: 'connection', value: '<time>', setting: 'credentialTimeout',
+    help: [
+      'How long an expired session waits for fresh credentials (from .env,',
+      'the cookie file or the terminal) before checkpointing and exiting',
+      '(default: 600 seconds; e.g. 10m)'
+    ]
+  },
+  {
+    name: '--proxy', group: 'connection', value: '<url>',
+    apply: (value, cli, option, runtime) => {
+      setCliSetting(runtime, 'httpsProxy', value, option);
+      setCliSetting(runtime, 'httpProxy', value, option);
+    },
+    help: 'Proxy for all requests (default: HTTPS_PROXY / HTTP_PROXY, minus NO_PROXY hosts)'
+  },
+  { name: '--ca', group: 'connection', value: '<file>', setting: 'caFile', help: 'PEM CA bundle to trust in addition to the built-in CAs' },
+  { name: '--cert', group: 'connection', value: '<file>', setting: 'clientCert', help: 'PEM client certificate for mutual TLS (with --key)' },
+  { name: '--key', group: 'connection', value: '<file>', setting: 'clientKey', help: 'PEM private key for --cert' },
+  { name: '--max-sockets', group: 'connection', value: '<n>', setting: 'maxSockets', help: 'Keep-alive connections per host (default: 10)' },
+  {
+    name: '--rate', group: 'connection', value: '<n>',
+    apply: (value, cli, option, runtime) => {
+      setCliSetting(runtime, 'requestsPerSecond', value, option);
+      setCliSetting(runtime, 'requestBurst', Math.max(1, Math.ceil(runtime.config.requestsPerSecond)), option);
+    },
+    help: ['Maximum requests per second across all workers (default: 10)', 'Halved automatically on HTTP 429/503; Retry-After pauses all requests']
+  },
+  { name: '--timeout', group: 'connection', value: '<time>', setting: 'requestTimeout', help: 'Per-request timeout (default: 30000 ms; e.g. 2m)' },
 
-    if (!downloaded) {
-      throw lastError || new Error('All download attempts failed');
-    }
+  { name: '--config', group: 'config', value: '<file>', early: true, help: 'Config file (default: AEM_CONFIG, or aem.config.json if present)' },
+  { name: '--profile', group: 'config', value: '<name>', early: true, help: 'Use a named profile from the config file (default: AEM_PROFILE)' },
+  { name: '--output', group: 'config', value: '<dir>', setting: 'outputDir', help: 'Output directory (default: OUTPUT_DIR or ./dam-downloads)' }
+];
 
-    // Save metadata if enabled
-    if (config.downloadMetadata) {
-      const metadataPath = `${outputPath}.metadata.json`;
-      const downloadedSize = fs.statSync(outputPath).size;
+/**
+ * Split `<command> [arguments] [options]` into { command, patterns, values, help }
+ * without touching any settings; values holds the raw option values by name.
+ * Throws on unknown commands and options, options the command does not take,
+ * missing values and values given to switches.
+ */
+function parseCliArgs(args) {
+  const [command, ...rest] = args;
+  const spec = CLI_COMMANDS[command];
+  if (!spec) {
+    throw new Error(`Unknown command "${command}" (use ${Object.keys(CLI_COMMANDS).join(', ')})`);
+  }
 
-      // Create comprehensive metadata object
-      const fullMetadata = {
-        asset: {
-          path: assetInfo.path,
-          name: assetInfo.name,
-          extension: assetInfo.extension,
-          mimeType: assetInfo.mimeType,
-          size: assetInfo.size,
-          sizeFormatted: formatBytes(assetInfo.size || 0),
-          queryBased: assetInfo.queryBased || false
-        },
-        properties: {
-          width: assetInfo.width,
-          height: assetInfo.height,
-          created: assetInfo.created,
-          modified: assetInfo.modified,
-          title: assetInfo.title,
-          description: assetInfo.description,
-          keywords: assetInfo.keywords,
-          creator: assetInfo.creator,
-          copyright: assetInfo.copyright,
-          tags: assetInfo.tags,
-          lastModifiedBy: assetInfo.lastModifiedBy
-        },
-        aem: {
-          renditions: assetInfo.renditions,
-          originalMetadata: assetInfo.metadata
-        },
-        download: {
-          downloadedAt: new Date().toISOString(),
-          downloadedSize: downloadedSize,
-          downloadUrl: usedUrl,
-          mode: config.queryMode ? 'query' : (config.testMode ? 'test' : (config.findDownloadMode ? 'find' : 'full'))
-        }
-      };
+  const cli = { command, patterns: [], values: {}, help: rest.includes('--help') || rest.includes('-h') };
+  if (cli.help) return cli;
 
-      // Include raw data if available (for debugging)
-      if (assetInfo._raw) {
-        fullMetadata._raw = assetInfo._raw;
-      }
+  for (let i = 0; i < rest.length; i++) {
+    const arg = rest[i];
+    if (!arg.startsWith('-')) {
+      if (!spec.args) throw new Error(`Unexpected argument "${arg}": ${command} takes no arguments`);
+      cli.patterns.push(...arg.split(',').map(p => p.trim()).filter(Boolean));
+      continue;
+    }
 
-      fs.writeFileSync(metadataPath, JSON.stringify(fullMetadata, null, 2));
-      console.log(`   Metadata saved: ${path.basename(metadataPath)}`);
+    const equals = arg.indexOf('=');
+    const name = equals === -1 ? arg : arg.slice(0, equals);
+    const option = CLI_OPTIONS.find(o => o.name === name);
+    if (!option) {
+      throw new Error(`Unknown option ${name}`);
+    }
+    if (!spec.groups.includes(option.group)) {
+      const takenBy = Object.keys(CLI_COMMANDS).filter(other => CLI_COMMANDS[other].groups.includes(option.group));
+      throw new Error(`${name} does not apply to ${command} (it is an option of ${takenBy.join(', ')})`);
     }
 
-    // Download renditions if enabled
-    if (config.downloadRenditions && assetInfo.renditions?.length > 0) {
-      await downloadRenditions(assetInfo, outputDir);
+    let value = true;
+    if (option.value) {
+      if (equals !== -1) {
+        value = arg.slice(equals + 1);
+      } else if (i + 1 < rest.length && !rest[i + 1].startsWith('--')) {
+        value = rest[++i];
+      } else {
+        throw new Error(`${name} needs a value: ${name} ${option.value}`);
+      }
+      if (value.trim() === '') throw new Error(`${name} needs a value: ${name} ${option.value}`);
+    } else if (equals !== -1) {
+      throw new Error(`${name} does not take a value`);
     }
 
-    return true;
+    cli.values[name] = option.repeat ? [...(cli.values[name] || []), value] : value;
+  }
+  return cli;
+}
 
-  } catch (error) {
-    console.log(`\nFailed: ${assetInfo.name} - ${error.message}`);
-    config.stats.failedAssets++;
-    config.stats.errors.push({
-      asset: assetInfo.path,
-      error: error.message
-    });
-    return false;
+function parseCliInteger(option, value) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < option.min) {
+    throw new Error(`${option.name} must be a whole number >= ${option.min} (got "${value}")`);
   }
+  return number;
 }
 
 /**
- * Download asset renditions
+ * Apply the parsed options to the settings of the downloader's runtime and check that
+ * they make sense together. Fills in the cli fields main() reads. Throws on invalid input.
  */
-async function downloadRenditions(assetInfo, outputDir) {
-  if (!config.downloadRenditions || !assetInfo.renditions?.length) return;
-
-  const renditionsDir = path.join(outputDir, `${assetInfo.name}.renditions`);
-
-  for (const rendition of assetInfo.renditions) {
-    if (rendition === 'original' || rendition.includes('metadata')) continue;
+function applyCliOptions(runtime, cli) {
+  const { config, validateConfig, loadWherePredicate } = runtime;
+  Object.assign(cli, {
+    where: [], whereFile: null, fulltext: null, tags: [], includeChildTags: false, maxResults: 0,
+    download: false, plan: false, limit: null, queryFile: null, sync: cli.command === 'sync', resume: false
+  });
 
-    try {
-      const urls = [
-        `${config.baseUrl}${assetInfo.path}/jcr:content/renditions/${rendition}`,
-        `${config.baseUrl}${assetInfo.path}/_jcr_content/renditions/${rendition}`
-      ];
+  CLI_OPTIONS.forEach(option => {
+    const value = cli.values[option.name];
+    if (value === undefined || option.early) return;
 
-      ensureDirectory(renditionsDir);
-      const renditionPath = path.join(renditionsDir, rendition);
+    if (option.apply) {
+      option.apply(value, cli, option, runtime);
+    } else if (option.setting) {
+      setCliSetting(runtime, option.setting, 'set' in option ? option.set : value, option);
+    } else {
+      cli[option.field] = option.integer ? parseCliInteger(option, value) : value;
+    }
+  });
 
-      for (const url of urls) {
-        try {
-          const response = await makeRequestWithRetry(url, { responseType: 'stream' });
+  if (cli.command === 'verify') return cli;
+  validateConfig();
+  if (cli.command === 'test') return cli;
 
-          await new Promise((resolve, reject) => {
-            const writer = fs.createWriteStream(renditionPath);
-            response.pipe(writer);
-            writer.on('finish', resolve);
-            writer.on('error', reject);
-          });
+  if (cli.command === 'search') {
+    if (cli.patterns.length === 0 && cli.where.length === 0 && !cli.whereFile && !cli.fulltext && cli.tags.length === 0) {
+      throw new Error('search needs a pattern, --where, --where-file, --fulltext or --tag');
+    }
+    if (cli.includeChildTags && cli.tags.length === 0) {
+      throw new Error('--include-child-tags requires --tag');
+    }
+    // Catch a bad condition before connecting
+    loadWherePredicate(cli.where, cli.whereFile);
 
-          if (fs.statSync(renditionPath).size > 0) {
-            console.log(`   Rendition saved: ${rendition}`);
-            break;
-          }
-        } catch (e) {
-          // Try next URL
-        }
-      }
-    } catch (error) {
-      // Silent fail for renditions
+    if (cli.plan && cli.download) {
+      throw new Error('--plan downloads nothing; use --plan or --download, not both');
+    }
+    const downloadOnly = ['--limit', '--sync', '--resume'].filter(name => cli.values[name] !== undefined);
+    if (!cli.download && !cli.plan && downloadOnly.length > 0) {
+      throw new Error(`${downloadOnly.join(', ')} only ${downloadOnly.length > 1 ? 'apply' : 'applies'} to search --download or --plan`);
     }
   }
-}
-
-// ============================================
-// REPORTING
-// ============================================
-
-function generateReport() {
-  const duration = Date.now() - config.stats.startTime;
-  const durationMin = Math.floor(duration / 60000);
-  const durationSec = Math.floor((duration % 60000) / 1000);
-
-  let reportSuffix = 'download-report.json';
-  let status = 'Complete';
-  let mode = 'full';
-
-  if (config.queryMode) {
-    reportSuffix = 'query-report.json';
-    status = 'Query Complete';
-    mode = 'query';
-  } else if (config.findDownloadMode) {
-    reportSuffix = 'find-download-report.json';
-    status = 'Find & Download Complete';
-    mode = 'find-download';
-  } else if (config.testMode) {
-    reportSuffix = 'test-report.json';
-    status = 'Test Complete';
-    mode = 'test';
-  }
-
-  const report = {
-    summary: {
-      status: status,
-      mode: mode,
-      queryMode: config.queryMode,
-      findMode: config.findMode,
-      findDownloadMode: config.findDownloadMode,
-      findMultipleMode: config.findMultipleMode,
-      testMode: config.testMode,
-      queryFile: config.queryFile,
-      findPattern: config.findPattern,
-      findPatterns: config.findPatterns,
-      baseUrl: config.baseUrl,
-      outputDirectory: path.resolve(config.outputDir),
-      foldersScanned: config.stats.foldersScanned,
-      totalAssetsFound: config.stats.totalAssets,
-      downloadedAssets: config.stats.downloadedAssets,
-      skippedAssets: config.stats.skippedAssets,
-      failedAssets: config.stats.failedAssets,
-      totalSize: formatBytes(config.stats.totalSize),
-      duration: `${durationMin}m ${durationSec}s`,
-      timestamp: new Date().toISOString()
-    },
-    errors: config.stats.errors
-  };
-
-  const reportPath = path.join(config.outputDir, reportSuffix);
-  fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
-
-  console.log("\n" + "=".repeat(60));
-  console.log("DOWNLOAD COMPLETE");
-  console.log("=".repeat(60));
 
-  if (config.queryMode) {
-    console.log(`Query File: ${config.queryFile}`);
+  if (cli.plan && cli.resume) {
+    throw new Error('--plan cannot be combined with --resume');
   }
-  if (config.findDownloadMode) {
-    const patterns = config.findMultipleMode ?
-      config.findPatterns.join(', ') :
-      config.findPattern;
-    console.log(`Search Pattern(s): ${patterns}`);
+  if (cli.plan && cli.values['--orphans'] !== undefined) {
+    console.log('Warning: --orphans ignored with --plan');
   }
-  if (!config.queryMode && !config.findDownloadMode) {
-    console.log(`Folders Scanned: ${config.stats.foldersScanned}`);
-  }
-
-  console.log(`Assets Found: ${config.stats.totalAssets}`);
-  console.log(`Downloaded: ${config.stats.downloadedAssets} assets`);
-  console.log(`Skipped: ${config.stats.skippedAssets} assets`);
-  console.log(`Failed: ${config.stats.failedAssets} assets`);
-  console.log(`Total Size: ${formatBytes(config.stats.totalSize)}`);
-  console.log(`Duration: ${durationMin}m ${durationSec}s`);
-  console.log(`Report: ${reportPath}`);
 
-  if (config.testMode) {
-    console.log(`\nThis was a TEST RUN - limited to ${config.testLimit} assets`);
-    console.log(`   Run without --test-10 to download all ${config.stats.totalAssets} assets`);
-  }
-  if (config.queryMode) {
-    console.log(`\nThis was a QUERY-BASED download from: ${config.queryFile}`);
-  }
-  if (config.findDownloadMode) {
-    console.log(`\nThis was a FIND & DOWNLOAD operation`);
+  if (cli.queryFile && cli.values['--folder'] !== undefined) {
+    console.log('Warning: --folder ignored in query mode');
   }
 
-  console.log("=".repeat(60));
-
-  if (config.stats.errors.length > 0) {
-    console.log("\nFailed downloads:");
-    config.stats.errors.slice(0, 5).forEach(e => {
-      console.log(`   - ${e.asset}: ${e.error}`);
-    });
-    if (config.stats.errors.length > 5) {
-      console.log(`   ... and ${config.stats.errors.length - 5} more (see report)`);
+  if (config.stripFolderPrefix) {
+    if (config.startPath !== '/content/dam') {
+      config.stripPrefix = config.startPath;
+    } else {
+      console.log('Warning: --strip-folder ignored without --folder');
     }
   }
+  return cli;
 }
 
-// ============================================
-// MAIN EXECUTION
-// ============================================
+/**
+ * Flags from before the subcommands, and what each stands for now.
+ * command: the command the flag selected; args: its replacement arguments;
+ * mode: one of the old modes, of which a command line could pick only one.
+ */
+const LEGACY_FLAGS = {
+  '--test': { command: 'test' },
+  '-t': { command: 'test' },
+  '--test-10': { mode: true, args: () => ['--limit', '10'] },
+  '--test-limit': { mode: true, value: true, args: value => ['--limit', value] },
+  '--query': { mode: true, command: 'download', value: true, args: value => ['--query', value] },
+  '--find': { mode: true, command: 'search', value: true, args: value => [value] },
+  '--find-multiple': { mode: true, command: 'search', value: true, args: value => [value] },
+  '--find-string': { mode: true, command: 'search', value: true, args: value => [value] },
+  '--find-download': { mode: true, command: 'search', value: true, download: true, args: value => [value] },
+  '--find-multiple-download': { mode: true, command: 'search', value: true, download: true, args: value => [value] },
+  '--find-string-download': { mode: true, command: 'search', value: true, download: true, args: value => [value] },
+  '--tag': { command: 'search', value: true, download: true, args: value => ['--tag', value] },
+  '--where': { command: 'search', value: true, args: value => ['--where', value] },
+  '--where-file': { command: 'search', value: true, args: value => ['--where-file', value] },
+  '--fulltext': { command: 'search', value: true, args: value => ['--fulltext', value] },
+  '--max-results': { command: 'search', value: true, args: value => ['--max-results', value] },
+  '--include-child-tags': { command: 'search', args: () => ['--include-child-tags'] },
+  '--download': { command: 'search', download: true },
+  '--sync': { command: 'sync' }
+};
 
-async function main() {
-  console.log("=".repeat(60));
-  console.log("AEM UNIVERSAL DYNAMIC ASSET DOWNLOADER v3.3");
+// Quote an argument for the "Same as:" hint when the shell would split it
+const quoteArg = (arg) => (/^[\w@%+=:,./-]+$/.test(arg) ? arg : JSON.stringify(arg));
 
-  if (config.findDownloadMode && config.findStringMode) {
-    console.log("FIND STRING & DOWNLOAD MODE - Search from string and download");
-  } else if (config.findDownloadMode && config.findMultipleMode) {
-    console.log("FIND MULTIPLE & DOWNLOAD MODE - Search multiple patterns and download");
-  } else if (config.findDownloadMode) {
-    console.log("FIND & DOWNLOAD MODE - Search and download assets");
-  } else if (config.findStringMode) {
-    console.log("FIND STRING MODE - Search from string pattern");
-  } else if (config.findMultipleMode) {
-    console.log("FIND MULTIPLE MODE - Search multiple patterns");
-  } else if (config.findMode) {
-    console.log("FIND MODE - Searching for assets");
-  } else if (config.queryMode) {
-    console.log("QUERY MODE - Downloading specific assets");
-  } else if (config.testMode) {
-    console.log(`TEST MODE - Will download only ${config.testLimit} assets`);
+/**
+ * Turn a command line without a command into one with: the old mode flags become the
+ * command they selected (with a deprecation warning), and anything else runs download.
+ */
+function translateLegacyArgs(args) {
+  if (args.length > 0 && !args[0].startsWith('-')) {
+    throw new Error(`Unknown command "${args[0]}" (use ${Object.keys(CLI_COMMANDS).join(', ')})`);
   }
 
-  console.log("=".repeat(60));
-  console.log(`Server: ${config.baseUrl}`);
-  console.log(`Output: ${config.outputDir}`);
+  let command = null;
+  let commandFlag = null;
+  let modeFlag = null;
+  let download = false;
+  let sync = false;
+  const used = [];
+  const translated = [];
 
-  if (config.queryFile) {
-    console.log(`Query File: ${config.queryFile}`);
-  }
-  if (config.findPattern) {
-    console.log(`Search Pattern: ${config.findPattern}`);
-  }
-  if (config.findPatterns.length > 0) {
-    console.log(`Search Patterns: ${config.findPatterns.join(', ')}`);
-  }
+  for (let i = 0; i < args.length; i++) {
+    const equals = args[i].indexOf('=');
+    const name = equals === -1 ? args[i] : args[i].slice(0, equals);
+    const legacy = LEGACY_FLAGS[name];
+    if (!legacy) {
+      translated.push(args[i]);
+      continue;
+    }
 
-  console.log("=".repeat(60));
+    let value;
+    if (legacy.value) {
+      if (equals !== -1) value = args[i].slice(equals + 1);
+      else if (i + 1 < args.length && !args[i + 1].startsWith('--')) value = args[++i];
+      if (!value) throw new Error(`${name} needs a value`);
+    }
+    used.push(name);
 
-  // Validate cookie
-  if (!config.cookie) {
-    console.error('\nERROR: Cookie is required for authentication');
-    console.log('\nSet your cookie in one of these ways:');
-    console.log('1. Edit the script and add it to config.cookie');
-    console.log('2. Set COOKIE environment variable');
-    console.log('\nExample:');
-    console.log('COOKIE="your-cookie-here" node script.js\n');
-    process.exit(1);
+    if (legacy.mode) {
+      if (modeFlag) {
+        const modes = Object.keys(LEGACY_FLAGS).filter(flag => LEGACY_FLAGS[flag].mode);
+        throw new Error(`Cannot use multiple modes simultaneously (${modeFlag} and ${name}); choose one of ${modes.join(', ')}, or normal discovery mode`);
+      }
+      modeFlag = name;
+    }
+    if (legacy.command === 'sync') {
+      sync = true;
+    } else if (legacy.command) {
+      if (command && command !== legacy.command) {
+        throw new Error(`Cannot use multiple modes simultaneously (${commandFlag} and ${name}); use one command: ${Object.keys(CLI_COMMANDS).join(', ')}`);
+      }
+      command = legacy.command;
+      commandFlag = name;
+    }
+    if (legacy.download) download = true;
+    if (legacy.args) translated.push(...legacy.args(value));
   }
 
-  checkCookieExpiry();
-
-  // Test connection
-  console.log('\nTesting connection...');
-  try {
-    const testUrl = `${config.baseUrl}/content/dam.json`;
-    await makeRequestWithRetry(testUrl);
-    console.log('Connection successful!\n');
-  } catch (error) {
-    console.error('Connection failed:', error.message);
-    console.log('\nPossible issues:');
-    console.log('- Cookie might be expired');
-    console.log('- Base URL might be incorrect');
-    console.log('- No access to DAM');
-    process.exit(1);
+  if (!command) command = sync ? 'sync' : 'download';
+  if (download) translated.push('--download');
+  if (sync && command !== 'sync' && command !== 'test') translated.push('--sync');
+
+  // --test only ever used the connection settings; drop the rest instead of rejecting them
+  let commandArgs = translated;
+  if (command === 'test') {
+    commandArgs = [];
+    for (let i = 0; i < translated.length; i++) {
+      const name = translated[i].split('=')[0];
+      const option = CLI_OPTIONS.find(o => o.name === name);
+      const takesNext = option && option.value && !translated[i].includes('=');
+      if (!option || CLI_COMMANDS.test.groups.includes(option.group)) {
+        if (translated[i].startsWith('-')) commandArgs.push(translated[i]);
+        if (takesNext && i + 1 < translated.length) commandArgs.push(translated[i + 1]);
+      }
+      if (takesNext) i++;
+    }
   }
 
-  // Create output directory
-  ensureDirectory(config.outputDir);
+  if (used.length > 0) {
+    console.log(`Warning: ${used.join(', ')} ${used.length > 1 ? 'are' : 'is'} deprecated. ` +
+      `Same as: node aem.js ${[command, ...commandArgs].map(quoteArg).join(' ')}`);
+  }
+  return [command, ...commandArgs];
+}
 
-  // Save config (without sensitive data)
-  const configCopy = {
-    ...config,
-    cookie: '***REDACTED***',
-    processedPaths: undefined,
-    discoveredAssets: undefined
-  };
+// "  --name <value>   first help line", further lines aligned under the first
+function formatHelpEntry(label, help) {
+  const width = 30;
+  const [first, ...more] = [].concat(help);
+  const head = label.length < width - 3
+    ? `  ${label.padEnd(width - 2)}${first}`
+    : `  ${label}\n${' '.repeat(width)}${first}`;
+  return [head, ...more.map(line => ' '.repeat(width) + line)].join('\n');
+}
 
-  let configSuffix = 'config.json';
-  if (config.queryMode) configSuffix = 'query-config.json';
-  else if (config.findDownloadMode) configSuffix = 'find-download-config.json';
-  else if (config.testMode) configSuffix = 'test-config.json';
+function getCommandHelp(command) {
+  const spec = CLI_COMMANDS[command];
+  const lines = [
+    '',
+    `Usage: node aem.js ${command}${spec.args ? ` ${spec.args}` : ''} [options]`,
+    '',
+    spec.summary + '.',
+    ...(spec.details ? ['', ...spec.details] : [])
+  ];
 
-  fs.writeFileSync(
-    path.join(config.outputDir, configSuffix),
-    JSON.stringify(configCopy, null, 2)
-  );
+  Object.keys(CLI_GROUPS).filter(group => spec.groups.includes(group)).forEach(group => {
+    lines.push('', `${CLI_GROUPS[group]}:`);
+    CLI_OPTIONS.filter(option => option.group === group).forEach(option => {
+      lines.push(formatHelpEntry(`${option.name}${option.value ? ` ${option.value}` : ''}`, option.help));
+    });
+  });
 
-  try {
-    let assets = [];
+  lines.push('', 'Options take a value as --name value or --name=value; --help shows this text.');
+  lines.push('', 'Examples:', ...spec.examples.map(example => `  ${example}`), '');
+  return lines.join('\n');
+}
 
-    if (config.findMode || config.findMultipleMode || config.findStringMode) {
-      // Find mode: search for assets matching pattern(s)
-      let foundAssets;
+function getHelp() {
+  const commands = Object.entries(CLI_COMMANDS)
+    .map(([name, spec]) => formatHelpEntry(`${name}${spec.args ? ` ${spec.args}` : ''}`, spec.summary))
+    .join('\n');
 
-      if (config.findStringMode) {
-        foundAssets = await findFromString(config.findPattern);
-      } else if (config.findMultipleMode) {
-        foundAssets = await findMultipleAssets(config.findPatterns);
-      } else {
-        foundAssets = await findAssets(config.findPattern);
-      }
+  return `
+AEM Universal Dynamic Asset Downloader v3.3
+============================================
 
-      if (foundAssets.length === 0) {
-        let patternText;
-        if (config.findStringMode) {
-          patternText = `string: "${config.findPattern}"`;
-        } else if (config.findMultipleMode) {
-          patternText = `patterns: ${config.findPatterns.map(p => `"${p}"`).join(', ')}`;
-        } else {
-          patternText = `pattern: "${config.findPattern}"`;
-        }
-        console.log(`\nNo assets found matching ${patternText}`);
-        process.exit(0);
-      }
+Usage: node aem.js <command> [options]
+       node aem.js <command> --help     Options of one command
 
-      if (config.findDownloadMode) {
-        // Convert found assets to download array and proceed with download
-        console.log(`\nFound ${foundAssets.length} assets. Proceeding with download...`);
-        assets = foundAssets;
+Commands:
+${commands}
 
-        // Update stats for consistency
-        config.stats.totalAssets = foundAssets.length;
-      } else {
-        // Save search results only (original find behavior)
-        let searchPattern;
-        if (config.findStringMode) {
-          searchPattern = config.findPattern;
-        } else if (config.findMultipleMode) {
-          searchPattern = config.findPatterns.join(',');
-        } else {
-          searchPattern = config.findPattern;
-        }
+Without a command, node aem.js runs download.
 
-        saveSearchResults(searchPattern, foundAssets);
+Options take a value as --name value or --name=value. Unknown options are an error.
+Sizes accept B, KB, MB, GB, TB (--max-size 500MB) and times ms, s, m, h (--timeout 30s);
+a plain number is bytes, milliseconds, or seconds for --credential-timeout.
 
-        // Ask user if they want to download the found assets
-        console.log(`\nFound ${foundAssets.length} assets. Do you want to download them?`);
-        console.log('   Run the command again with --query and the generated paths file to download.');
-        console.log('   Or use --find-download, --find-multiple-download, or --find-string-download to search and download in one step.');
-        process.exit(0);
-      }
+Deprecated flags (still accepted, with a warning naming the command they stand for):
+  --test, -t                  test
+  --test-10, --test-limit <n> --limit 10, --limit <n>
+  --query <file>              download --query <file>
+  --find <pattern>, --find-multiple <a,b>, --find-string <string>
+                              search <pattern>
+  --find-download <pattern> (and --find-multiple-download, --find-string-download)
+                              search <pattern> --download
+  --where, --where-file, --fulltext, --max-results, --include-child-tags, --download
+                              search with the same options
+  --tag <tagID>               search --tag <tagID> --download
+  --sync                      sync (or --sync with search --download / download --query)
 
-    } else if (config.queryMode) {
-      // Query-based mode: load assets from file
-      const assetPaths = loadQueryFile(config.queryFile);
-      assets = await processQueryAssets(assetPaths);
-    } else {
-      // Discovery mode: scan DAM
-      console.log('\nPHASE 1: DISCOVERING ASSETS');
-      console.log('='.repeat(60));
-      assets = await discoverAllAssets();
-    }
+Environment Variables:
+  BASE_URL           AEM instance URL
+  OUTPUT_DIR         Output directory (default: ./dam-downloads), same as --output
+  COOKIE             Your AEM session cookie
+  AEM_USER           Basic auth user (with AEM_PASSWORD)
+  AEM_PASSWORD       Basic auth password
+  ACCESS_TOKEN       Static bearer token
+  SERVICE_CREDENTIALS  Service credential JSON file; access tokens are fetched and refreshed automatically
+  TOKEN_ENDPOINT     Token endpoint for service credentials (default: the IMS endpoint in the file)
+  AUTH_METHOD        Same as --auth
+  AEM_CONFIG         Same as --config
+  AEM_PROFILE        Same as --profile
+  MAX_CONCURRENT, SLEEP_TIME, MAX_DEPTH, REQUEST_TIMEOUT, RETRY_ATTEMPTS, RETRY_DELAY,
+  FILE_TYPES, MIN_FILE_SIZE, MAX_FILE_SIZE, DOWNLOAD_METADATA, DOWNLOAD_RENDITIONS
+                     See README (Configuration) for precedence and profiles
+  COOKIE_FILE        Same as --cookie-file
+  AEM_PLUGINS        Comma-separated plugin modules, same as --plugin
+  HTTPS_PROXY        Proxy for https:// requests (HTTP_PROXY for http://)
+  NO_PROXY           Comma-separated hosts that bypass the proxy
+  CA_FILE            Same as --ca
+  CLIENT_CERT        Same as --cert
+  CLIENT_KEY         Same as --key (CLIENT_KEY_PASSPHRASE if it is encrypted)
 
-    if (assets.length === 0) {
-      console.log('\nNo assets found');
-      if (config.queryMode) {
-        console.log('\nPossible reasons:');
-        console.log('- Query file might be empty or invalid');
-        console.log('- Asset paths in query file might not exist');
-        console.log('- Cookie might not have sufficient permissions');
-      } else {
-        console.log('\nPossible reasons:');
-        console.log('- DAM might be empty');
-        console.log('- Cookie might not have sufficient permissions');
-        console.log('- Different DAM structure than expected');
-      }
-      process.exit(0);
-    }
+Examples:
+  # Test connection
+  COOKIE="your-cookie" node aem.js test
 
-    if (assets.length > 0) {
-      // Phase 2: Download assets
-      console.log(`\nPHASE 2: DOWNLOADING ASSETS`);
-      console.log('='.repeat(60));
-      await downloadAllAssets(assets);
-    }
+  # Try a download with 10 assets
+  COOKIE="your-cookie" node aem.js download --limit 10
 
-  } catch (error) {
-    console.error('\nFatal error:', error);
-    config.stats.errors.push({ error: error.message });
-  }
+  # Full DAM discovery and download (images only, from one folder)
+  COOKIE="your-cookie" node aem.js download --folder /content/dam/my-project --types jpg,png,gif
 
-  // Generate final report
-  generateReport();
-}
+  # Search for assets (no download), then download the saved paths
+  COOKIE="your-cookie" node aem.js search icon2-returns.png 1683123905658
+  COOKIE="your-cookie" node aem.js download --query dam-downloads/search-paths-1700000000000.json
 
-// ============================================
-// ERROR HANDLING
-// ============================================
+  # Search multiple patterns AND download immediately
+  COOKIE="your-cookie" node aem.js search icon2,perks,returns --download
 
-process.on('SIGINT', () => {
-  console.log('\n\nDownload interrupted by user');
-  generateReport();
-  process.exit(0);
-});
+  # Approved PDFs with a campaign tag (no download)
+  COOKIE="your-cookie" node aem.js search --where "mime=application/pdf" --where "status=approved" --where "tag=brand:campaign/2024"
 
-process.on('unhandledRejection', (error) => {
-  console.error('\nUnhandled error:', error);
-  generateReport();
-  process.exit(1);
-});
+  # Everything tagged with a campaign tag or any of its child tags
+  COOKIE="your-cookie" node aem.js search --tag "brand:campaign/2024" --include-child-tags --download
 
-// ============================================
-// ENTRY POINT
-// ============================================
+  # Full-text search, ranked by relevance (no download)
+  COOKIE="your-cookie" node aem.js search --fulltext "sustainability report"
 
-if (require.main === module) {
-  // Check for command line arguments
-  const args = process.argv.slice(2);
+  # How big is the full pull? Write a plan, then download exactly that list
+  COOKIE="your-cookie" node aem.js download --plan
+  COOKIE="your-cookie" node aem.js download --query dam-downloads/plan-1700000000000.json
 
-  if (args.includes('--help') || args.includes('-h')) {
-    console.log(`
-AEM Universal Dynamic Asset Downloader v3.3
-============================================
+  # Everything modified in the last 30 days, up to 500MB each
+  COOKIE="your-cookie" node aem.js download --modified-since 30d --max-size 500MB
 
-Usage: node script.js [options]
-
-Options:
-  --help, -h         Show this help message
-  --test, -t         Test connection only
-  --test-10          Download only 10 assets for testing
-  --test-limit <n>   Download only N assets for testing
-  --query <file>     Download specific assets from JSON file
-  --find <pattern>   Search for assets matching pattern (no download)
-                     Example: --find "icon2-returns.png"
-                     Example: --find "1683123905658"
-  --find-download <pattern>  Search for assets and download them immediately
-                     Example: --find-download "icon2-returns.png"
-                     Example: --find-download "1683123905658"
-  --find-multiple <patterns>  Search for multiple patterns (comma-separated)
-                     Example: --find-multiple "icon2,perks,logo"
-                     Example: --find-multiple "1683123,1679944,returns"
-  --find-multiple-download <patterns>  Search multiple patterns and download
-                     Example: --find-multiple-download "icon2,perks,logo"
-  --find-string <string>  Search from a single string (filename or comma-separated patterns)
-                     Example: --find-string "burton.jpeg"
-                     Example: --find-string "icon2,perks,logo"
-  --find-string-download <string>  Search from string and download immediately
-                     Example: --find-string-download "burton.jpeg"
-                     Example: --find-string-download "icon2,perks,logo"
-  --types <list>     Download only specific file types (comma-separated)
-                     Example: --types jpg,png,pdf
-  --folder <path>    Start from specific folder (discovery mode only)
-                     Example: --folder /content/dam/projects
-  --no-renditions    Skip downloading renditions
-  --no-metadata      Skip saving metadata
+  # Weekly incremental sync of a folder tree
+  COOKIE="your-cookie" node aem.js sync --folder /content/dam/my-project --layout tree --strip-folder
 
-Environment Variables:
-  COOKIE             Your AEM session cookie (required)
-  BASE_URL           AEM instance URL
-  OUTPUT_DIR         Output directory (default: ./dam-downloads)
+  # Check the files on disk against their recorded sizes and checksums
+  node aem.js verify
 
-Examples:
-  # Test connection
-  COOKIE="your-cookie" node script.js --test
-  
-  # Test download with 10 assets
-  COOKIE="your-cookie" node script.js --test-10
-  
-  # Download specific assets from JSON file
-  COOKIE="your-cookie" node script.js --query assets.json
-  
-  # Search for assets (no download, just find)
-  COOKIE="your-cookie" node script.js --find "icon2-returns.png"
-  COOKIE="your-cookie" node script.js --find "1683123905658"
-  
-  # Search from single string (filename)
-  COOKIE="your-cookie" node script.js --find-string "burton.jpeg"
-  
-  # Search from single string (multiple patterns)
-  COOKIE="your-cookie" node script.js --find-string "icon2,perks,logo"
-  
-  # Search from string AND download immediately
-  COOKIE="your-cookie" node script.js --find-string-download "burton.jpeg"
-  COOKIE="your-cookie" node script.js --find-string-download "icon2,perks,logo"
-  
-  # Search multiple patterns (no download)
-  COOKIE="your-cookie" node script.js --find-multiple "icon2,perks,logo"
-  
-  # Search multiple patterns AND download immediately
-  COOKIE="your-cookie" node script.js --find-multiple-download "icon2,perks,returns"
-  
-  # Full DAM discovery and download
-  COOKIE="your-cookie" node script.js
-  
-  # Download only images
-  COOKIE="your-cookie" node script.js --types jpg,png,gif
-  
-  # Start discovery from specific folder
-  COOKIE="your-cookie" node script.js --folder /content/dam/my-project
+  # Rename files by SKU with a plugin
+  COOKIE="your-cookie" node aem.js download --plugin ./plugins/sku-rename.js
 
 Query File Format:
   The query file can be JSON in various formats:
-  
+
   1. Simple array with full paths:
      ["/content/dam/path/to/asset1.jpg", "/content/dam/path/to/asset2.png"]
-  
+
   2. Simple array with relative paths:
      ["/1683123905658/icon2-returns.png", "/1679944936835/logo.png"]
      (These will be prefixed with /content/dam automatically)
-  
+
   3. Object with assets array:
      {"assets": ["/content/dam/path/to/asset1.jpg"]}
-  
+
   4. Object with relative paths and custom base:
      {
        "basePath": "/content/dam/my-project",
        "assets": ["/icons/icon1.png", "/images/logo.jpg"]
      }
-  
+
   5. Object with paths array:
      {"paths": ["/content/dam/path/to/asset1.jpg"]}
-  
+
   6. Plain text (one path per line):
      /content/dam/path/to/asset1.jpg
      /content/dam/path/to/asset2.png
-  
+
+  7. A plan file written by --plan (its "assets" array)
+
   The script handles:
   - Full AEM paths (/content/dam/...)
   - Relative paths (will be prefixed with /content/dam or custom basePath)
@@ -1966,140 +6743,84 @@ Features:
   - Automatic retry with exponential backoff
   - Support for AEM renditions
   - Handles coreimg URLs and complex AEM paths
-`);
-    process.exit(0);
-  }
+  - Verification of downloaded files against their recorded checksums
+  - Dry-run plans with size, type and duration estimates
+`;
+}
 
-  if (args.includes('--test') || args.includes('-t')) {
-    config.cookie = config.cookie || process.env.COOKIE;
-    if (!config.cookie) {
-      console.error('Cookie required for test');
-      process.exit(1);
-    }
+// ============================================
+// ENTRY POINT
+// ============================================
 
-    console.log('Testing connection...');
-    makeRequestWithRetry(`${config.baseUrl}/content/dam.json`)
-      .then(() => {
-        console.log('Connection successful!');
-        process.exit(0);
-      })
-      .catch((error) => {
-        console.error('Connection failed:', error.message);
-        process.exit(1);
-      });
-    return;
-  }
+if (require.main === module) {
+  // .env is layered below the profile by the downloader (see applyConfigLayers), not loaded
+  // into process.env; only the config file and profile names are needed from it here
+  const envFile = path.resolve('.env');
+  let envFileValues = {};
+  try {
+    if (fs.existsSync(envFile)) envFileValues = readEnvFile(envFile);
+  } catch (e) { /* unreadable .env: the downloader reports it */ }
+  const fromEnv = (name) => process.env[name] || envFileValues[name];
 
-  // Parse command line options
-  for (let i = 0; i < args.length; i++) {
-    if (args[i] === '--test-10') {
-      config.testMode = true;
-      config.testLimit = 10;
-    } else if (args[i] === '--test-limit' && args[i + 1]) {
-      config.testMode = true;
-      config.testLimit = parseInt(args[i + 1]) || 10;
-      i++;
-    } else if (args[i] === '--query' && args[i + 1]) {
-      config.queryMode = true;
-      config.queryFile = args[i + 1];
-      i++;
-    } else if (args[i] === '--find' && args[i + 1]) {
-      config.findMode = true;
-      config.findPattern = args[i + 1];
-      i++;
-    } else if (args[i] === '--find-download' && args[i + 1]) {
-      config.findMode = true;
-      config.findDownloadMode = true;
-      config.findPattern = args[i + 1];
-      i++;
-    } else if (args[i] === '--find-multiple' && args[i + 1]) {
-      config.findMode = true;
-      config.findMultipleMode = true;
-      config.findPatterns = args[i + 1].split(',').map(p => p.trim());
-      i++;
-    } else if (args[i] === '--find-multiple-download' && args[i + 1]) {
-      config.findMode = true;
-      config.findMultipleMode = true;
-      config.findDownloadMode = true;
-      config.findPatterns = args[i + 1].split(',').map(p => p.trim());
-      i++;
-    } else if (args[i] === '--find-string' && args[i + 1]) {
-      config.findMode = true;
-      config.findStringMode = true;
-      config.findPattern = args[i + 1];
-      i++;
-    } else if (args[i] === '--find-string-download' && args[i + 1]) {
-      config.findMode = true;
-      config.findStringMode = true;
-      config.findDownloadMode = true;
-      config.findPattern = args[i + 1];
-      i++;
-    } else if (args[i] === '--types' && args[i + 1]) {
-      config.fileTypes = args[i + 1].split(',').map(t => t.trim());
-      i++;
-    } else if (args[i] === '--folder' && args[i + 1]) {
-      if (config.queryMode || config.findMode) {
-        console.log('Warning: --folder ignored in query/find mode');
-      } else {
-        const normalized = normalizeFolderPath(args[i + 1]);
-        if (normalized !== args[i + 1]) {
-          console.log(`Normalized folder path: "${args[i + 1]}" -> "${normalized}"`);
-        }
-        config.folderQueue = [normalized];
-      }
-      i++;
-    } else if (args[i] === '--no-renditions') {
-      config.downloadRenditions = false;
-    } else if (args[i] === '--no-metadata') {
-      config.downloadMetadata = false;
-    }
+  const args = process.argv.slice(2);
+  if (args[0] === '--help' || args[0] === '-h' || args[0] === 'help') {
+    const topic = args[0] === 'help' && CLI_COMMANDS[args[1]] ? args[1] : null;
+    console.log(topic ? getCommandHelp(topic) : getHelp());
+    process.exit(0);
   }
 
-  // Validate query mode requirements
-  if (config.queryMode && !config.queryFile) {
-    console.error('ERROR: --query requires a file path');
-    console.log('Example: node script.js --query assets.json');
+  let cli;
+  try {
+    cli = parseCliArgs(CLI_COMMANDS[args[0]] ? args : translateLegacyArgs(args));
+  } catch (error) {
+    const command = CLI_COMMANDS[args[0]] ? args[0] : null;
+    console.error(`ERROR: ${error.message}`);
+    console.error(`Run "node aem.js ${command ? `${command} ` : ''}--help" for the ${command ? 'options' : 'commands and options'}.`);
     process.exit(1);
   }
-
-  // Validate find mode requirements
-  if ((config.findMode || config.findDownloadMode) && !config.findPattern && !config.findMultipleMode && !config.findStringMode) {
-    console.error('ERROR: Find commands require a search pattern');
-    console.log('Example: node script.js --find "icon2-returns.png"');
-    console.log('Example: node script.js --find-download "icon2-returns.png"');
-    console.log('Example: node script.js --find-string "burton.jpeg"');
-    process.exit(1);
+  if (cli.help) {
+    console.log(getCommandHelp(cli.command));
+    process.exit(0);
   }
 
-  if (config.findMultipleMode && (!config.findPatterns || config.findPatterns.length === 0)) {
-    console.error('ERROR: --find-multiple or --find-multiple-download requires patterns');
-    console.log('Example: node script.js --find-multiple "icon2,perks,logo"');
-    console.log('Example: node script.js --find-multiple-download "icon2,perks,logo"');
+  let downloader;
+  try {
+    downloader = new AemDownloader({
+      logger: console,
+      interactive: true,
+      envFile,
+      configFile: cli.values['--config'] || fromEnv('AEM_CONFIG') ||
+        (fs.existsSync(DEFAULT_CONFIG_FILE) ? DEFAULT_CONFIG_FILE : null),
+      profile: cli.values['--profile'] || fromEnv('AEM_PROFILE') || null,
+      env: process.env
+    });
+  } catch (error) {
+    console.error(`ERROR: ${error.message}`);
     process.exit(1);
   }
 
-  if (config.findStringMode && !config.findPattern) {
-    console.error('ERROR: --find-string or --find-string-download requires a string');
-    console.log('Example: node script.js --find-string "burton.jpeg"');
-    console.log('Example: node script.js --find-string "icon2,perks,logo"');
+  try {
+    applyCliOptions(runtimes.get(downloader), cli);
+  } catch (error) {
+    console.error(`ERROR: ${error.message}`);
+    console.error(`Run "node aem.js ${cli.command} --help" for the options.`);
     process.exit(1);
   }
 
-  // Ensure only one mode is active
-  const activeModes = [
-    config.queryMode,
-    config.findMode && !config.findDownloadMode && !config.findMultipleMode && !config.findStringMode,
-    config.testMode
-  ].filter(Boolean).length;
+  // Stop mid-run with everything needed for --resume on disk
+  process.on('SIGINT', () => {
+    console.log('\n\nDownload interrupted by user');
+    downloader.stop('Download interrupted by user');
+    process.exit(0);
+  });
 
-  if (activeModes > 1) {
-    console.error('ERROR: Cannot use multiple modes simultaneously');
-    console.log('Choose one: --query, --find, --find-multiple, --find-string, --find-download, --find-multiple-download, --find-string-download, --test-10, or normal discovery mode');
+  process.on('unhandledRejection', (error) => {
+    console.error('\nUnhandled error:', error);
+    downloader.stop(`Unhandled error: ${error && error.message}`);
     process.exit(1);
-  }
+  });
 
-  // Run main function
-  main().catch(error => {
+  main(downloader, cli).catch(error => {
     console.error('Fatal error:', error);
     process.exit(1);
   });